@@ -6,15 +6,38 @@ const MAX_SELECTOR_LENGTH = 320;
 const MAX_FIELD_TEXT_LENGTH = 1200;
 const MAX_REPLY_LENGTH = 2500;
 const STEP_DELAY_MS = 120;
+const TAB_CONTEXT_BUDGET_SHARE = 0.2;
+// Applied on top of the planner profile's own generation settings when precise planning is on.
+const PLANNER_GENERATION_PRESET = { temperature: 0 };
+// Step-by-step mode: planner rounds per run and how many earlier actions are shown back to the planner.
+const MAX_AGENT_ITERATIONS = 8;
+const MAX_ITERATION_HISTORY = 12;
+// EXTRACT_STRUCTURED limits and the value types a schema field may declare.
+const MAX_EXTRACT_FIELDS = 12;
+const MAX_EXTRACT_RECORDS = 50;
+const EXTRACT_FIELD_TYPES = new Set(['text', 'number', 'url', 'image', 'boolean']);
+
+// Progressively smaller shapes for page context; the first one that fits the token budget is used.
+const PAGE_CONTEXT_LEVELS = [
+    { forms: 8, fields: 12, buttons: 16, links: 20, headings: 10, hints: 8, textChars: 3000 },
+    { forms: 4, fields: 8, buttons: 10, links: 12, headings: 6, hints: 4, textChars: 1500 },
+    { forms: 2, fields: 6, buttons: 6, links: 6, headings: 4, hints: 3, textChars: 600 },
+    { forms: 1, fields: 4, buttons: 4, links: 0, headings: 2, hints: 2, textChars: 200 },
+    { forms: 0, fields: 0, buttons: 0, links: 0, headings: 1, hints: 0, textChars: 0 }
+];
 
 const LOW_RISK_ACTIONS = new Set([
     'ANALYZE_PAGE',
     'SCRAPE_PAGE',
+    'EXTRACT_STRUCTURED',
     'VISUALIZE_PAGE',
+    'SCROLL',
+    'HOVER',
     'GOOGLE_SEARCH',
     'SEARCH_YOUTUBE',
     'PLAY_MEDIA',
-    'WAIT'
+    'WAIT',
+    'WAIT_FOR'
 ]);
 
 const TAB_ACTIONS = new Set([
@@ -25,15 +48,305 @@ const TAB_ACTIONS = new Set([
     'CLICK',
     'TYPE',
     'FILL_FORM',
+    'SCROLL',
+    'HOVER',
+    'PRESS_KEY',
+    'SELECT_OPTION',
     'ANALYZE_PAGE',
     'SCRAPE_PAGE',
+    'EXTRACT_STRUCTURED',
     'VISUALIZE_PAGE',
     'OPEN_TAB',
     'SWITCH_TAB',
-    'WAIT'
+    'WAIT',
+    'WAIT_FOR'
 ]);
 
-const ALLOWED_ACTIONS = new Set([...TAB_ACTIONS, 'REPLY']);
+// Control-flow steps carry nested step lists and are run by the agent itself, never sent to the background.
+const CONTROL_ACTIONS = new Set(['IF', 'REPEAT_UNTIL', 'FOR_EACH']);
+const MAX_BLOCK_STEPS = 10;
+const MAX_BLOCK_DEPTH = 2;
+const MAX_LOOP_ITERATIONS = 10;
+// Upper bound on executed steps per run, loops included.
+const MAX_EXECUTED_STEPS = 60;
+
+// Steps may be named with "id" so later steps can reference their results as {{id.path}}.
+const STEP_ID_PATTERN = /^[A-Za-z][\w-]{0,39}$/;
+// Saved macros fill {{params.name}} from the values given as /macro-name name=value.
+const MACRO_PARAMS_NAME = 'params';
+const RESERVED_TEMPLATE_NAMES = new Set(['item', 'index', MACRO_PARAMS_NAME]);
+const TEMPLATE_PATTERN = /\{\{\s*([\w.\-[\]]+)\s*\}\}/g;
+// How a password is written in a prompt ("password is hunter2", "pass: hunter2").
+const PROMPT_PASSWORD_PATTERN = /(password|pass)\s*(?:is|=|:)?\s*([^\s,;]+)/i;
+const SENSITIVE_PATH_PATTERN = /pass|token|secret|key|otp|cookie|session|auth/i;
+// Resolved step -> paths of fields whose value came from a sensitive reference; safeStepForLogging hides them.
+const SENSITIVE_TEMPLATE_FIELDS = new WeakMap();
+
+const ALLOWED_ACTIONS = new Set([...TAB_ACTIONS, ...CONTROL_ACTIONS, 'REPLY', 'DONE']);
+
+// Literal step values a saved macro can turn into parameters; FILL_FORM field values are offered as well.
+const MACRO_PARAMETER_FIELDS = {
+    NAVIGATE: ['url'],
+    OPEN_TAB: ['url'],
+    SWITCH_TAB: ['tabId'],
+    GOOGLE_SEARCH: ['query'],
+    SEARCH_YOUTUBE: ['query'],
+    TYPE: ['text'],
+    SELECT_OPTION: ['option']
+};
+// "/macros" lists the saved macros, so no macro may use that name.
+const RESERVED_MACRO_NAMES = new Set(['macros']);
+
+// In step-by-step mode the page is observed again after any of these, before the next action runs.
+const PAGE_CHANGING_ACTIONS = new Set([
+    'NAVIGATE',
+    'OPEN_TAB',
+    'SWITCH_TAB',
+    'GOOGLE_SEARCH',
+    'SEARCH_YOUTUBE',
+    'PLAY_MEDIA',
+    'CLICK',
+    'FILL_FORM',
+    'SCROLL',
+    'HOVER',
+    'PRESS_KEY',
+    'SELECT_OPTION'
+]);
+
+const WAIT_FOR_CONDITIONS = new Set(['selector_visible', 'selector_hidden', 'text_appears', 'url_matches', 'network_idle', 'dom_stable']);
+const MAX_WAIT_FOR_MS = 30000;
+// Dry runs look up and highlight the elements these actions would touch.
+const DRY_RUN_TARGET_ACTIONS = new Set(['CLICK', 'TYPE', 'FILL_FORM']);
+const SCROLL_MODES = new Set(['page', 'element', 'text']);
+const SCROLL_DIRECTIONS = new Set(['down', 'up', 'top', 'bottom']);
+const NAMED_KEYS = new Set([
+    'Enter', 'Escape', 'Tab', 'Backspace', 'Delete', 'Space',
+    'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Home', 'End', 'PageUp', 'PageDown'
+]);
+const KEY_ALIASES = { esc: 'Escape', return: 'Enter', del: 'Delete', up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight' };
+const KEY_MODIFIERS = { ctrl: 'ctrl', control: 'ctrl', shift: 'shift', alt: 'alt', option: 'alt', meta: 'meta', cmd: 'meta', command: 'meta' };
+
+const TARGET_TOOL_SCHEMA = {
+    type: 'object',
+    description: 'Tabs to run on. Omit to use the default target.',
+    properties: {
+        mode: { type: 'string', enum: ['active', 'all', 'url_contains', 'domain', 'tab_id'] },
+        value: { type: 'string', description: 'Domain, URL fragment or tab id for the chosen mode.' }
+    },
+    required: ['mode']
+};
+
+const CONDITION_TOOL_SCHEMA = {
+    type: 'object',
+    description: 'Checked on the target tab(s) when the step runs.',
+    properties: {
+        type: { type: 'string', enum: ['element_exists', 'text_present', 'url_matches'] },
+        selector: { type: 'string', description: 'CSS selector for element_exists.' },
+        text: { type: 'string', description: 'Visible text for element_exists or text_present.' },
+        pattern: { type: 'string', description: 'URL substring for url_matches.' },
+        negate: { type: 'boolean', description: 'True to test that the condition does NOT hold.' }
+    },
+    required: ['type']
+};
+
+const STEP_ID_TOOL_SCHEMA = {
+    type: 'string',
+    description: 'Optional name for this step\'s result so later steps can use it as {{id.field}}.'
+};
+
+// Stands in for a list of nested plan steps; buildStepSchema fills in the item shape.
+const NESTED_STEPS_SCHEMA = { type: 'array', description: 'Plan steps with the same shape as top-level steps.' };
+
+// JSON-schema tool definitions for native tool calling, one per action in ALLOWED_ACTIONS.
+const ACTION_TOOL_DEFINITIONS = {
+    REPLY: {
+        description: 'Send a text reply to the user.',
+        properties: { message: { type: 'string' } },
+        required: ['message']
+    },
+    DONE: {
+        description: 'Finish the task and tell the user the outcome.',
+        properties: { message: { type: 'string' } },
+        required: ['message']
+    },
+    NAVIGATE: {
+        description: 'Navigate the target tab(s) to a URL.',
+        properties: { url: { type: 'string', description: 'Absolute http(s) URL.' }, target: TARGET_TOOL_SCHEMA },
+        required: ['url']
+    },
+    OPEN_TAB: {
+        description: 'Open a URL in a new tab.',
+        properties: { url: { type: 'string' }, active: { type: 'boolean' } },
+        required: ['url']
+    },
+    SWITCH_TAB: {
+        description: 'Activate an existing tab by id.',
+        properties: { tabId: { type: 'string', description: 'Tab id, or a reference such as {{open1.tabId}}.' } },
+        required: ['tabId']
+    },
+    GOOGLE_SEARCH: {
+        description: 'Search Google in the target tab(s).',
+        properties: { query: { type: 'string' }, target: TARGET_TOOL_SCHEMA },
+        required: ['query']
+    },
+    SEARCH_YOUTUBE: {
+        description: 'Search YouTube in the target tab(s).',
+        properties: { query: { type: 'string' }, target: TARGET_TOOL_SCHEMA },
+        required: ['query']
+    },
+    PLAY_MEDIA: {
+        description: 'Play or pause media, or open the first YouTube result.',
+        properties: { target: TARGET_TOOL_SCHEMA }
+    },
+    CLICK: {
+        description: 'Click an element by CSS selector or visible text.',
+        properties: { selector: { type: 'string' }, text: { type: 'string' }, target: TARGET_TOOL_SCHEMA }
+    },
+    SCROLL: {
+        description: 'Scroll the page, a scrollable element, or until some text is in view. Returns atBottom.',
+        properties: {
+            mode: { type: 'string', enum: Array.from(SCROLL_MODES) },
+            direction: { type: 'string', enum: Array.from(SCROLL_DIRECTIONS) },
+            amount: { type: 'integer', description: 'Pixels; defaults to most of a screen.' },
+            selector: { type: 'string', description: 'Scrollable element for mode "element".' },
+            text: { type: 'string', description: 'Text to bring into view for mode "text".' },
+            target: TARGET_TOOL_SCHEMA
+        }
+    },
+    HOVER: {
+        description: 'Move the pointer over an element, e.g. to open a hover menu.',
+        properties: { selector: { type: 'string' }, text: { type: 'string' }, target: TARGET_TOOL_SCHEMA }
+    },
+    PRESS_KEY: {
+        description: 'Press a key such as Enter, Escape, Tab or an arrow key, optionally with modifiers, on the focused element or a selector.',
+        properties: {
+            key: { type: 'string' },
+            modifiers: { type: 'array', items: { type: 'string', enum: ['ctrl', 'shift', 'alt', 'meta'] } },
+            selector: { type: 'string' },
+            target: TARGET_TOOL_SCHEMA
+        },
+        required: ['key']
+    },
+    SELECT_OPTION: {
+        description: 'Pick an option in a dropdown (native select or custom listbox) by its text or value.',
+        properties: {
+            option: { type: 'string' },
+            selector: { type: 'string', description: 'The select element or the control that opens the list.' },
+            label: { type: 'string', description: 'Label of the dropdown when no selector is known.' },
+            target: TARGET_TOOL_SCHEMA
+        },
+        required: ['option']
+    },
+    TYPE: {
+        description: 'Type text into an input.',
+        properties: {
+            selector: { type: 'string' },
+            text: { type: 'string' },
+            clear: { type: 'boolean' },
+            target: TARGET_TOOL_SCHEMA
+        },
+        required: ['selector', 'text']
+    },
+    FILL_FORM: {
+        description: 'Fill several form fields and optionally submit.',
+        properties: {
+            fields: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        selector: { type: 'string' },
+                        name: { type: 'string' },
+                        label: { type: 'string' },
+                        placeholder: { type: 'string' },
+                        value: { type: 'string' },
+                        type: { type: 'string' }
+                    },
+                    required: ['value']
+                }
+            },
+            submit: { type: 'boolean' },
+            submitSelector: { type: 'string' },
+            target: TARGET_TOOL_SCHEMA
+        },
+        required: ['fields']
+    },
+    ANALYZE_PAGE: {
+        description: 'Inspect forms, buttons, links and text of the page.',
+        properties: { includeText: { type: 'boolean' }, maxTextChars: { type: 'integer' }, target: TARGET_TOOL_SCHEMA }
+    },
+    VISUALIZE_PAGE: {
+        description: 'Highlight interactive elements on the page.',
+        properties: { target: TARGET_TOOL_SCHEMA }
+    },
+    SCRAPE_PAGE: {
+        description: 'Extract the visible text of the page.',
+        properties: { maxChars: { type: 'integer' }, target: TARGET_TOOL_SCHEMA }
+    },
+    EXTRACT_STRUCTURED: {
+        description: 'Extract repeated items (products, results, rows) as records with the given named, typed fields.',
+        properties: {
+            schema: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string' },
+                        type: { type: 'string', enum: Array.from(EXTRACT_FIELD_TYPES) },
+                        selector: { type: 'string', description: 'Optional CSS selector inside each item.' }
+                    },
+                    required: ['name']
+                }
+            },
+            itemSelector: { type: 'string', description: 'Optional CSS selector for one item; detected when omitted.' },
+            maxRecords: { type: 'integer', description: `At most ${MAX_EXTRACT_RECORDS}.` },
+            target: TARGET_TOOL_SCHEMA
+        },
+        required: ['schema']
+    },
+    WAIT: {
+        description: 'Pause for a number of milliseconds.',
+        properties: { ms: { type: 'integer' } },
+        required: ['ms']
+    },
+    WAIT_FOR: {
+        description: 'Wait until the page reaches a state: an element visible or hidden, text shown, URL matched, network idle, or DOM stable.',
+        properties: {
+            until: { type: 'string', enum: Array.from(WAIT_FOR_CONDITIONS) },
+            selector: { type: 'string', description: 'For selector_visible and selector_hidden.' },
+            text: { type: 'string', description: 'For text_appears.' },
+            pattern: { type: 'string', description: 'URL substring for url_matches.' },
+            quietMs: { type: 'integer', description: 'Quiet period for network_idle and dom_stable.' },
+            timeoutMs: { type: 'integer', description: `At most ${MAX_WAIT_FOR_MS}.` },
+            target: TARGET_TOOL_SCHEMA
+        },
+        required: ['until']
+    },
+    IF: {
+        description: 'Run steps only when a condition holds on the page, otherwise run elseSteps.',
+        properties: { condition: CONDITION_TOOL_SCHEMA, steps: NESTED_STEPS_SCHEMA, elseSteps: NESTED_STEPS_SCHEMA, target: TARGET_TOOL_SCHEMA },
+        required: ['condition', 'steps']
+    },
+    REPEAT_UNTIL: {
+        description: 'Repeat steps until a condition holds, checking before each round.',
+        properties: {
+            condition: CONDITION_TOOL_SCHEMA,
+            steps: NESTED_STEPS_SCHEMA,
+            maxIterations: { type: 'integer', description: `At most ${MAX_LOOP_ITERATIONS}.` },
+            target: TARGET_TOOL_SCHEMA
+        },
+        required: ['condition', 'steps']
+    },
+    FOR_EACH: {
+        description: 'Run steps once per entry of a list from the previous step\'s data. Use {{item.field}} and {{index}} in nested steps.',
+        properties: {
+            list: { type: 'string', description: 'List in the previous result, e.g. "links", "buttons" or "headings".' },
+            limit: { type: 'integer', description: `At most ${MAX_LOOP_ITERATIONS} entries.` },
+            steps: NESTED_STEPS_SCHEMA
+        },
+        required: ['list', 'steps']
+    }
+};
 const DIRECT_SITE_MAP = {
     facebook: 'https://www.facebook.com/',
     instagram: 'https://www.instagram.com/',
@@ -55,41 +368,76 @@ window.processAgentCommand = async function (prompt, apiKey, provider, model, ba
         : () => Boolean(signal && signal.aborted);
 
     const defaultTarget = inferDefaultTarget(prompt, runContext);
+    const runUsage = createUsageTally();
 
     assertNotStopped(shouldStop);
     window.updateAgentStatus('Analyzing intent...');
     window.appendActionLog(`[${runId}] Request received`);
 
     try {
+        // A saved macro replays its stored plan, so neither the planner nor the local shortcuts are consulted.
+        const macroRun = runContext.macro ? prepareMacroRun(runContext.macro, defaultTarget) : null;
+        const deterministicPlan = macroRun ? null : maybeBuildDeterministicPlan(prompt, defaultTarget);
+        const fastPlan = macroRun ? null : maybeBuildFastPlan(prompt, defaultTarget);
+        const dryRun = Boolean(runContext.dryRun);
+        // A dry run never changes the page, so step-by-step observation has nothing new to see.
+        const iterative = Boolean(runContext.iterative) && !dryRun && !macroRun && !deterministicPlan && !fastPlan;
+
         const tabSnapshot = await tryGetTabSnapshot(signal);
         const activeHost = getActiveHost(tabSnapshot);
-        const pageContext = await tryGetPageContextIfNeeded(prompt, runId, signal);
-
-        const deterministicPlan = maybeBuildDeterministicPlan(prompt, defaultTarget);
-        const fastPlan = maybeBuildFastPlan(prompt, defaultTarget);
+        const pageContext = iterative || macroRun ? null : await tryGetPageContextIfNeeded(prompt, runId, signal);
+        const credentials = { apiKey, provider, model, baseUrl };
+        const execution = {
+            prompt,
+            runId,
+            signal,
+            shouldStop,
+            defaultTarget,
+            // EXTRACT_STRUCTURED refines its records with the planner's provider.
+            credentials,
+            runContext,
+            runUsage,
+            currentHost: activeHost,
+            // Data of the latest successful browser step; FOR_EACH reads its list from here.
+            lastData: null,
+            // Results of steps that have an "id", keyed by that id.
+            outputs: {},
+            // Parameter values of a saved macro, read by {{params.name}}.
+            params: macroRun ? macroRun.params : null,
+            executedSteps: 0,
+            counts: { completed: 0, skipped: 0, failed: 0 }
+        };
         let plan = [];
 
-        if (deterministicPlan) {
+        if (macroRun) {
+            plan = macroRun.plan;
+            window.appendActionLog(`[${runId}] Running macro /${runContext.macro.name}`);
+        } else if (deterministicPlan) {
             plan = sanitizePlan(deterministicPlan, defaultTarget);
             window.appendActionLog(`[${runId}] Using deterministic navigation plan`);
         } else if (fastPlan) {
             plan = sanitizePlan(fastPlan, defaultTarget);
             window.appendActionLog(`[${runId}] Using local fast plan`);
-        } else {
-            const systemPrompt = buildSystemPrompt(defaultTarget);
-            const fullPrompt = buildPlanningPrompt(systemPrompt, prompt, tabSnapshot, pageContext);
+        } else if (!iterative) {
             try {
-                const rawPlanResponse = await window.generateChatResponse(
-                    fullPrompt,
-                    apiKey,
-                    provider,
-                    model,
-                    baseUrl,
-                    { signal }
-                );
+                const screenshot = runContext.visionEnabled
+                    ? await tryCaptureScreenshot(runId, signal)
+                    : null;
+                const plannerOutput = await requestPlannerOutput({
+                    prompt,
+                    tabSnapshot,
+                    pageContext,
+                    screenshot,
+                    defaultTarget,
+                    runId,
+                    credentials,
+                    runContext: { ...runContext, iterative: false },
+                    replayScope: { prompt: redactPromptForStorage(prompt) },
+                    signal,
+                    onUsage: usage => addUsageToTally(runUsage, usage)
+                });
                 assertNotStopped(shouldStop);
 
-                const plannerOutput = parsePlannerResponse(rawPlanResponse);
                 const todos = sanitizeTodos(plannerOutput.todos);
 
                 if (plannerOutput.analysis) {
@@ -100,7 +448,9 @@ window.processAgentCommand = async function (prompt, apiKey, provider, model, ba
                     renderTodosPreview(todos);
                 }
 
-                plan = sanitizePlan(plannerOutput.plan, defaultTarget);
+                const planIssues = [];
+                plan = sanitizePlan(plannerOutput.plan, defaultTarget, planIssues);
+                reportPlanIssues(planIssues, runId);
 
                 if (!plan.length) {
                     const todoActions = todos
@@ -119,68 +469,45 @@ window.processAgentCommand = async function (prompt, apiKey, provider, model, ba
             }
         }
 
-        if (!plan.length) {
-            throw new Error('Planner returned an empty action plan.');
-        }
-
-        window.appendActionLog(`[${runId}] Plan generated with ${plan.length} step(s)`);
-        renderPlanPreview(plan);
-
-        let successCount = 0;
-        let skippedCount = 0;
-        let failureCount = 0;
-        let currentHost = activeHost;
-
-        for (let index = 0; index < plan.length; index++) {
-            assertNotStopped(shouldStop);
-
-            const step = plan[index];
-            window.updateAgentStatus(`Step ${index + 1}/${plan.length}: ${step.action}`);
-            window.appendActionLog(`Step ${index + 1}: ${formatStepSummary(step)}`);
-
-            if (step.action === 'REPLY') {
-                window.appendMessage(redactSensitiveText(step.message), 'bot-msg');
-                successCount += 1;
-                continue;
+        if (iterative) {
+            await runIterativeLoop({ prompt, defaultTarget, credentials, runContext, runUsage, execution });
+        } else {
+            if (!plan.length) {
+                throw new Error('Planner returned an empty action plan.');
             }
 
-            const riskInfo = classifyStepRisk(step, prompt, currentHost);
-            if (riskInfo.level === 'high') {
-                const approval = await requestApprovalIfNeeded(step, riskInfo, shouldStop);
-                if (!approval.approved) {
-                    window.appendActionLog(`Skipped ${step.action}: approval ${approval.reason || 'denied'}`);
-                    skippedCount += 1;
-                    continue;
-                }
+            window.appendActionLog(`[${runId}] Plan generated with ${plan.length} step(s)`);
+            if (runContext.reviewPlan && typeof window.requestPlanReview === 'function') {
+                plan = await reviewPlanBeforeRun(plan, prompt, defaultTarget, runId, shouldStop);
+            } else {
+                renderPlanPreview(plan);
             }
 
-            try {
-                const response = await executeStepWithRecovery(step, runId, signal, shouldStop);
-                logExecutionResult(step, response);
-                renderStructuredResult(step, response);
-                successCount += 1;
-
-                const nextHost = getHostFromStep(step);
-                if (nextHost) {
-                    currentHost = nextHost;
-                }
-            } catch (error) {
-                failureCount += 1;
-                const remediation = buildRemediationMessage(step, error.message);
-                window.appendActionLog(`Action failed: ${redactSensitiveText(error.message)}`);
-                window.appendMessage(remediation, 'system-msg');
-                break;
+            if (plan.length && dryRun) {
+                const report = await previewPlanSteps(plan, execution);
+                window.appendMessage(
+                    `Dry run: ${report.matched} target(s) found, ${report.missing} missing. Nothing was clicked, typed, submitted or navigated.${formatUsageTally(runUsage)}`,
+                    'system-msg'
+                );
+                window.updateAgentStatus('Agent ready', true);
+                return;
             }
-
-            if (index < plan.length - 1) {
-                await cancellableDelay(STEP_DELAY_MS, shouldStop, signal);
+            if (plan.length) {
+                await runPlanSteps(plan, execution);
             }
         }
 
+        const { completed, skipped, failed } = execution.counts;
         window.appendMessage(
-            `Run summary: ${successCount} completed, ${skippedCount} skipped, ${failureCount} failed.`,
+            `Run summary: ${completed} completed, ${skipped} skipped, ${failed} failed.${formatUsageTally(runUsage)}`,
             'system-msg'
         );
+        if (!macroRun && completed && !failed && !skipped && typeof window.offerMacroSave === 'function') {
+            const offer = buildMacroOffer(prompt, plan);
+            if (offer) {
+                window.offerMacroSave(offer);
+            }
+        }
         window.updateAgentStatus('Agent ready', true);
     } catch (error) {
         const isAbort = isAbortError(error) || shouldStop();
@@ -199,6 +526,1025 @@ window.formatAgentStepSummary = function (step) {
     return formatStepSummary(step);
 };
 
+// Saved macros. After a clean run the side panel may store the plan under a name; literal values listed by
+// buildMacroOffer can be replaced with {{params.name}} before saving. The side panel keeps the macros in storage and
+// runs one by passing it as runContext.macro, which skips the planner but keeps risk checks and approvals.
+window.buildAgentMacro = function (offer, name, values = []) {
+    const macroName = String(name || '').trim().toLowerCase();
+    if (!STEP_ID_PATTERN.test(macroName) || RESERVED_MACRO_NAMES.has(macroName)) {
+        throw new Error('The macro name must start with a letter, use only letters, digits, "_" or "-", and not be "macros".');
+    }
+
+    const plan = JSON.parse(JSON.stringify(offer.plan));
+    const defaults = {};
+    offer.parameters.forEach((parameter, index) => {
+        let value = typeof values[index] === 'string' ? values[index].trim() : parameter.value;
+        // Secrets are never stored; they always become parameters that are given on each run.
+        if (parameter.sensitive && !value.includes(`{{${MACRO_PARAMS_NAME}.`)) {
+            value = `{{${MACRO_PARAMS_NAME}.${parameter.name}}}`;
+        }
+        if (value === parameter.value) {
+            return;
+        }
+        const wholeValue = value.match(/^\{\{\s*params\.([\w-]+)\s*\}\}$/);
+        if (wholeValue && !parameter.sensitive && !Object.prototype.hasOwnProperty.call(defaults, wholeValue[1])) {
+            defaults[wholeValue[1]] = parameter.value;
+        }
+        writeDataPath(plan, parameter.path, value);
+    });
+
+    // Tab ids do not outlive the browser session, so those steps fall back to the default target.
+    walkPlanSteps(plan, step => {
+        if (step.target && step.target.mode === 'tab_id') {
+            delete step.target;
+        }
+    });
+
+    const issues = [];
+    const sanitized = sanitizePlan(plan, { mode: 'active' }, issues);
+    if (issues.length) {
+        throw new Error(issues[0]);
+    }
+    collectMacroParams(sanitized);
+
+    return {
+        name: macroName,
+        prompt: offer.prompt,
+        plan: sanitized,
+        defaults,
+        savedAt: new Date().toISOString()
+    };
+};
+
+// Parses "/name key=value other="two words"". Resolves to null when the text is not a macro call.
+window.parseMacroInvocation = function (text) {
+    const match = String(text || '').trim().match(/^\/([A-Za-z][\w-]{0,39})(?:\s+([\s\S]*))?$/);
+    if (!match) {
+        return null;
+    }
+
+    const params = {};
+    const leftover = (match[2] || '').replace(/([A-Za-z][\w-]*)=(?:"([^"]*)"|'([^']*)'|(\S+))/g, (_match, key, doubleQuoted, singleQuoted, bare) => {
+        params[key] = doubleQuoted ?? singleQuoted ?? bare;
+        return '';
+    }).trim();
+    if (leftover) {
+        throw new Error(`Could not read "${leftover}". Give macro values as name=value and quote values with spaces.`);
+    }
+    return { name: match[1].toLowerCase(), params };
+};
+
+// One-line usage such as "/staging-login env=qa user=<required>".
+window.describeAgentMacro = function (macro) {
+    const defaults = macro.defaults || {};
+    const params = collectMacroParams(macro.plan).map(name => (
+        `${name}=${Object.prototype.hasOwnProperty.call(defaults, name) ? defaults[name] : '<required>'}`
+    ));
+    return [`/${macro.name}`, ...params].join(' ');
+};
+
+// Checks the stored plan again and merges the given values over the saved defaults.
+function prepareMacroRun(macro, defaultTarget) {
+    const usage = window.describeAgentMacro(macro);
+    const issues = [];
+    const plan = sanitizePlan(macro.plan, defaultTarget, issues);
+    if (issues.length) {
+        throw new Error(`macro /${macro.name} is no longer valid: ${issues[0]}`);
+    }
+
+    const names = collectMacroParams(plan);
+    const given = macro.params || {};
+    const unknown = Object.keys(given).filter(name => !names.includes(name));
+    if (unknown.length) {
+        throw new Error(`macro /${macro.name} has no parameter ${unknown.join(', ')}. Usage: ${usage}`);
+    }
+
+    const params = {};
+    names.forEach(name => {
+        const value = Object.prototype.hasOwnProperty.call(given, name) ? given[name] : (macro.defaults || {})[name];
+        if (value !== undefined && value !== '') {
+            params[name] = String(value);
+        }
+    });
+    const missing = names.filter(name => !Object.prototype.hasOwnProperty.call(params, name));
+    if (missing.length) {
+        throw new Error(`macro /${macro.name} needs ${missing.join(', ')}. Usage: ${usage}`);
+    }
+    return { plan, params };
+}
+
+// Lists the literal values of a finished plan that could become parameters. Resolves to null for plans that only reply.
+function buildMacroOffer(prompt, plan) {
+    if (!plan.some(step => step.action !== 'REPLY' && step.action !== 'DONE')) {
+        return null;
+    }
+
+    // In an auth prompt any typed value may be the password, and a value equal to a password written in the
+    // prompt is secret wherever it appears.
+    const authPrompt = containsAuthIntent(prompt);
+    const promptSecrets = extractPromptSecrets(prompt);
+    const parameters = [];
+    const usedNames = new Set();
+    const addParameter = (path, label, rawValue, nameHint, sensitive) => {
+        const value = String(rawValue);
+        if (!value || hasTemplate(value)) {
+            return;
+        }
+        const base = String(nameHint || 'value').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 30);
+        const stem = /^[a-z]/.test(base) ? base : `value_${base}`.replace(/_+$/, '');
+        let name = stem;
+        for (let suffix = 2; usedNames.has(name); suffix++) {
+            name = `${stem}${suffix}`;
+        }
+        usedNames.add(name);
+        parameters.push({
+            path,
+            label,
+            value,
+            name,
+            sensitive: sensitive || promptSecrets.includes(value) || redactSensitiveText(value) !== value
+        });
+    };
+
+    walkPlanSteps(plan, (step, path, label) => {
+        (MACRO_PARAMETER_FIELDS[step.action] || []).forEach(key => {
+            if (step[key] !== undefined) {
+                const sensitive = step.action === 'TYPE' && (authPrompt || looksSensitiveDescriptor(step.selector));
+                addParameter([...path, key], `Step ${label} ${step.action} ${key}`, step[key], key, sensitive);
+            }
+        });
+        if (step.action === 'FILL_FORM') {
+            step.fields.forEach((field, index) => {
+                const fieldName = field.name || field.label || field.placeholder || 'field';
+                addParameter([...path, 'fields', index, 'value'], `Step ${label} ${fieldName}`, field.value, fieldName, containsSensitiveField({ fields: [field] }));
+            });
+        }
+    });
+
+    return {
+        prompt: redactPromptForStorage(prompt),
+        plan: JSON.parse(JSON.stringify(plan)),
+        parameters
+    };
+}
+
+// Names used as {{params.name}} anywhere in the plan, in order of first use.
+function collectMacroParams(plan) {
+    const names = [];
+    for (const [match, path] of JSON.stringify(plan).matchAll(TEMPLATE_PATTERN)) {
+        const [root, name, ...rest] = path.split('.');
+        if (root !== MACRO_PARAMS_NAME) {
+            continue;
+        }
+        if (!STEP_ID_PATTERN.test(name || '') || rest.length) {
+            throw new Error(`${match} is not a valid parameter; use {{${MACRO_PARAMS_NAME}.name}} with a plain name`);
+        }
+        if (!names.includes(name)) {
+            names.push(name);
+        }
+    }
+    return names;
+}
+
+// Visits every step, nested ones included, with its path inside the plan and a label such as '3.1' or '3.else.1'.
+function walkPlanSteps(steps, visit, path = [], parentLabel = '') {
+    steps.forEach((step, index) => {
+        const stepPath = [...path, index];
+        const label = parentLabel ? `${parentLabel}.${index + 1}` : String(index + 1);
+        visit(step, stepPath, label);
+        if (Array.isArray(step.steps)) {
+            walkPlanSteps(step.steps, visit, [...stepPath, 'steps'], label);
+        }
+        if (Array.isArray(step.elseSteps)) {
+            walkPlanSteps(step.elseSteps, visit, [...stepPath, 'elseSteps'], `${label}.else`);
+        }
+    });
+}
+
+function writeDataPath(target, path, value) {
+    const parent = path.slice(0, -1).reduce((node, key) => node[key], target);
+    parent[path[path.length - 1]] = value;
+}
+
+// Lets the user edit the plan in the side panel. Edited steps go through sanitizePlan again, so the review
+// can never widen what the agent is allowed to do. Resolves to [] when the user cancels. For auth prompts the
+// card masks typed text, since it may be the password from the prompt.
+async function reviewPlanBeforeRun(plan, prompt, defaultTarget, runId, shouldStop) {
+    window.updateAgentStatus('Waiting for plan review...');
+    const review = await window.requestPlanReview(plan, { authPrompt: containsAuthIntent(prompt) });
+    assertNotStopped(shouldStop);
+
+    if (!review || !review.approved || !Array.isArray(review.plan) || !review.plan.length) {
+        window.appendMessage('Plan canceled. Nothing was run.', 'system-msg');
+        return [];
+    }
+
+    const planIssues = [];
+    const reviewedPlan = sanitizePlan(review.plan, defaultTarget, planIssues);
+    reportPlanIssues(planIssues, runId);
+    window.appendActionLog(`[${runId}] Running reviewed plan with ${reviewedPlan.length} step(s)`);
+    return reviewedPlan;
+}
+
+async function runPlanSteps(plan, execution) {
+    await runStepList(plan, execution, { label: '', vars: null });
+}
+
+// Runs steps in order. Resolves to the outcome that ended the list early (a failed step, or DONE with halt set),
+// or to null when every step ran.
+// scope.label numbers nested steps ('3.1', '3[2].1' inside loop rounds); scope.vars holds FOR_EACH's item and index.
+async function runStepList(steps, execution, scope) {
+    for (let index = 0; index < steps.length; index++) {
+        assertNotStopped(execution.shouldStop);
+
+        const label = scope.label ? `${scope.label}.${index + 1}` : String(index + 1);
+        window.updateAgentStatus(scope.label ? `Step ${label}: ${steps[index].action}` : `Step ${index + 1}/${steps.length}: ${steps[index].action}`);
+
+        const outcome = await runStep(steps[index], execution, { ...scope, label });
+        if (outcome.status === 'failed' || outcome.halt) {
+            return outcome;
+        }
+
+        if (outcome.response && index < steps.length - 1) {
+            await cancellableDelay(STEP_DELAY_MS, execution.shouldStop, execution.signal);
+        }
+    }
+    return null;
+}
+
+async function runStep(rawStep, execution, scope) {
+    execution.executedSteps += 1;
+    if (execution.executedSteps > MAX_EXECUTED_STEPS) {
+        return failStep(rawStep, execution, `the run reached the limit of ${MAX_EXECUTED_STEPS} executed steps`);
+    }
+
+    let step;
+    try {
+        step = resolveStepTemplates(rawStep, execution, scope);
+    } catch (error) {
+        return failStep(rawStep, execution, error.message);
+    }
+
+    window.appendActionLog(`Step ${scope.label}: ${formatStepSummary(step)}`);
+    const outcome = CONTROL_ACTIONS.has(step.action)
+        ? await executeControlStep(step, execution, scope)
+        : await executePlanStep(step, execution);
+    return step.action === 'DONE' ? { ...outcome, halt: true } : outcome;
+}
+
+// IF and REPEAT_UNTIL check their condition in the page; nested lists run through runStepList, so every nested
+// browser step still gets its own risk check and approval. A nested failure fails the block and a nested DONE halts
+// it, so step-by-step mode reports the one and ends on the other.
+async function executeControlStep(step, execution, scope) {
+    try {
+        switch (step.action) {
+            case 'IF': {
+                const matched = await checkPlanCondition(step, execution);
+                window.appendActionLog(`Step ${scope.label}: condition ${matched ? 'met' : 'not met'}`);
+                execution.counts.completed += 1;
+                const branch = matched ? step.steps : step.elseSteps;
+                const ended = await runStepList(branch, execution, { ...scope, label: matched ? scope.label : `${scope.label}.else` });
+                return ended || { status: 'completed' };
+            }
+            case 'REPEAT_UNTIL': {
+                for (let round = 1; round <= step.maxIterations; round++) {
+                    if (await checkPlanCondition(step, execution)) {
+                        window.appendActionLog(`Step ${scope.label}: condition met after ${round - 1} round(s)`);
+                        execution.counts.completed += 1;
+                        return { status: 'completed' };
+                    }
+                    const ended = await runStepList(step.steps, execution, { ...scope, label: `${scope.label}[${round}]` });
+                    if (ended) {
+                        return ended;
+                    }
+                }
+                if (await checkPlanCondition(step, execution)) {
+                    execution.counts.completed += 1;
+                    return { status: 'completed' };
+                }
+                return failStep(step, execution, `the condition was still not met after ${step.maxIterations} round(s)`);
+            }
+            case 'FOR_EACH': {
+                const listRoot = step.list.split(/[.[]/)[0];
+                const fromOutput = Object.prototype.hasOwnProperty.call(execution.outputs, listRoot);
+                const items = readDataPath(fromOutput ? execution.outputs : execution.lastData, step.list);
+                if (!Array.isArray(items)) {
+                    return failStep(step, execution, fromOutput
+                        ? `"${step.list}" is not a list in the result of step "${listRoot}"`
+                        : `"${step.list}" is not a list in the previous step's data`);
+                }
+                const selected = items.slice(0, step.limit);
+                window.appendActionLog(`Step ${scope.label}: ${selected.length} of ${items.length} item(s) from "${step.list}"`);
+                execution.counts.completed += 1;
+                for (let index = 0; index < selected.length; index++) {
+                    const ended = await runStepList(step.steps, execution, {
+                        ...scope,
+                        label: `${scope.label}[${index + 1}]`,
+                        vars: { item: selected[index], index: index + 1 }
+                    });
+                    if (ended) {
+                        return ended;
+                    }
+                }
+                return { status: 'completed' };
+            }
+            default:
+                return failStep(step, execution, 'unknown control step');
+        }
+    } catch (error) {
+        if (isAbortError(error) || execution.shouldStop()) {
+            throw error;
+        }
+        return failStep(step, execution, error.message);
+    }
+}
+
+async function checkPlanCondition(step, execution) {
+    const response = await sendCommandToBackground({
+        action: 'CHECK_CONDITION',
+        condition: step.condition,
+        target: step.target
+    }, execution.runId, execution.signal);
+    const results = Array.isArray(response.results) ? response.results : [];
+    return results.some(result => result.status === 'success' && result.data && result.data.matched === true);
+}
+
+function failStep(step, execution, message) {
+    execution.counts.failed += 1;
+    window.appendActionLog(`Action failed: ${redactSensitiveText(message)}`);
+    window.appendMessage(buildRemediationMessage(step, message), 'system-msg');
+    return { status: 'failed', error: new Error(message) };
+}
+
+// Replaces {{id.path}} references to earlier step results, {{item...}} / {{index}} inside FOR_EACH and {{params.name}}
+// in saved macros, then validates the step again now that its values are concrete. Nested blocks keep their
+// references until they run.
+function resolveStepTemplates(step, execution, scope) {
+    const sensitivePaths = new Set();
+    let replaced = false;
+
+    const lookup = (match, path) => {
+        const root = path.split(/[.[]/)[0];
+        let value;
+        if (root === MACRO_PARAMS_NAME) {
+            if (!execution.params) {
+                throw new Error(`${match} can only be used in a saved macro`);
+            }
+            value = readDataPath({ [MACRO_PARAMS_NAME]: execution.params }, path);
+        } else if (RESERVED_TEMPLATE_NAMES.has(root)) {
+            if (!scope.vars) {
+                throw new Error(`${match} can only be used inside FOR_EACH`);
+            }
+            value = readDataPath(scope.vars, path);
+        } else {
+            if (!Object.prototype.hasOwnProperty.call(execution.outputs, root)) {
+                throw new Error(`${match} refers to step "${root}", but no step with that id has completed yet`);
+            }
+            value = readDataPath(execution.outputs, path);
+        }
+
+        const itemNote = scope.vars ? ` for item ${scope.vars.index}` : '';
+        if (value === undefined || value === null || value === '') {
+            throw new Error(`${match} has no value${itemNote}`);
+        }
+        if (typeof value === 'object') {
+            throw new Error(`${match} is a list or object${itemNote}; reference one of its fields instead`);
+        }
+        return value;
+    };
+
+    const replaceIn = (value, path) => {
+        if (typeof value === 'string') {
+            return value.replace(TEMPLATE_PATTERN, (match, templatePath) => {
+                const resolved = String(lookup(match, templatePath));
+                replaced = true;
+                if (SENSITIVE_PATH_PATTERN.test(templatePath) || redactSensitiveText(resolved) !== resolved) {
+                    sensitivePaths.add(path);
+                }
+                return resolved;
+            });
+        }
+        if (Array.isArray(value)) {
+            return value.map((entry, index) => replaceIn(entry, `${path}.${index}`));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, replaceIn(entry, `${path}.${key}`)]));
+        }
+        return value;
+    };
+
+    if (CONTROL_ACTIONS.has(step.action)) {
+        const condition = step.condition ? replaceIn(step.condition, 'condition') : step.condition;
+        return replaced ? rememberSensitivePaths({ ...step, condition }, sensitivePaths) : step;
+    }
+
+    const filled = Object.fromEntries(Object.entries(step).map(([key, value]) => [key, replaceIn(value, key)]));
+    if (!replaced) {
+        return step;
+    }
+
+    const issues = [];
+    const [resolved] = sanitizeStepList([filled], execution.defaultTarget, {
+        issues,
+        label: scope.label,
+        depth: MAX_BLOCK_DEPTH,
+        maxSteps: 1,
+        allowTemplates: false
+    });
+    if (!resolved || issues.length) {
+        throw new Error(issues[0] || `${step.action} is invalid once its references are filled in`);
+    }
+    return rememberSensitivePaths(resolved, sensitivePaths);
+}
+
+function rememberSensitivePaths(step, sensitivePaths) {
+    if (sensitivePaths.size) {
+        SENSITIVE_TEMPLATE_FIELDS.set(step, sensitivePaths);
+    }
+    return step;
+}
+
+// Reads paths such as "links[0].href" or "analyze.links.0.href".
+function readDataPath(source, path) {
+    return String(path || '').replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean).reduce(
+        (value, key) => (value !== null && value !== undefined && typeof value === 'object' ? value[key] : undefined),
+        source
+    );
+}
+
+// A step's result as seen by {{id.path}}: the data returned for the first tab it succeeded on, plus tabId,
+// url, title and detail when the background reported them.
+function buildStepOutput(response) {
+    const result = Array.isArray(response.results)
+        ? response.results.find(entry => entry.status === 'success')
+        : null;
+    if (!result) {
+        return {};
+    }
+    const output = {};
+    ['tabId', 'url', 'title', 'detail'].forEach(key => {
+        if (result[key] !== undefined) {
+            output[key] = result[key];
+        }
+    });
+    return result.data && typeof result.data === 'object' ? { ...output, ...result.data } : output;
+}
+
+// Dry run: walks the plan, both IF branches and one pass of each loop included, without running anything.
+// CLICK, TYPE and FILL_FORM targets are looked up and badged in the page; every other step is only described.
+async function previewPlanSteps(plan, execution) {
+    const report = { lines: [], matched: 0, missing: 0, badges: 0, pageChangedBy: '' };
+    window.updateAgentStatus('Dry run: locating targets...');
+    await previewStepList(plan, execution, report, '');
+    window.appendMessage(`Dry run report:\n${report.lines.join('\n')}`, 'system-msg');
+    return report;
+}
+
+async function previewStepList(steps, execution, report, parentLabel) {
+    for (let index = 0; index < steps.length; index++) {
+        assertNotStopped(execution.shouldStop);
+        const step = steps[index];
+        const label = parentLabel ? `${parentLabel}.${index + 1}` : String(index + 1);
+        const summary = parentLabel
+            ? `   ${label} ${formatStepSummary(step)}`
+            : `${label}. ${formatStepSummary(step)}`;
+
+        if (CONTROL_ACTIONS.has(step.action)) {
+            report.lines.push(`${summary}: ${step.action === 'IF' ? 'condition not checked; both branches listed' : 'listed once'}`);
+            await previewStepList(step.steps, execution, report, label);
+            await previewStepList(step.elseSteps || [], execution, report, `${label}.else`);
+            continue;
+        }
+
+        const riskNote = describePreviewRisk(step, execution);
+        if (!DRY_RUN_TARGET_ACTIONS.has(step.action)) {
+            report.lines.push(`${summary}: not run${riskNote}`);
+            if (PAGE_CHANGING_ACTIONS.has(step.action) && !report.pageChangedBy) {
+                report.pageChangedBy = label;
+            }
+            continue;
+        }
+
+        if (hasTemplate(JSON.stringify(step))) {
+            report.lines.push(`${summary}: not checked; it uses results of earlier steps`);
+            continue;
+        }
+
+        report.badges += 1;
+        const previewStep = step.action === 'FILL_FORM'
+            ? { ...step, fields: step.fields.map(({ value, ...field }) => field) }
+            : step;
+        let response;
+        try {
+            response = await sendCommandToBackground({
+                action: 'PREVIEW_TARGET',
+                target: step.target,
+                step: previewStep,
+                badge: report.badges,
+                reset: report.badges === 1
+            }, execution.runId, execution.signal);
+        } catch (error) {
+            if (isAbortError(error) || execution.shouldStop()) {
+                throw error;
+            }
+            report.missing += 1;
+            report.lines.push(`${summary}: could not check (${redactSensitiveText(error.message)})`);
+            continue;
+        }
+
+        const pageNote = report.pageChangedBy ? ` (checked on the current page; step ${report.pageChangedBy} would have changed it)` : '';
+        const results = Array.isArray(response.results) ? response.results : [];
+        results.forEach(result => {
+            const tabNote = results.length > 1 ? ` [tab ${result.tabId}]` : '';
+            const data = result.status === 'success' && result.data ? result.data : { matched: false };
+            report[data.matched ? 'matched' : 'missing'] += 1;
+            report.lines.push(`${summary}${tabNote}: ${describePreviewResult(step, data, report.badges, execution.prompt)}${pageNote}${riskNote}`);
+        });
+        if (PAGE_CHANGING_ACTIONS.has(step.action) && !report.pageChangedBy) {
+            report.pageChangedBy = label;
+        }
+    }
+}
+
+function describePreviewResult(step, data, badge, prompt) {
+    if (step.action === 'TYPE') {
+        // A password written in the prompt is hidden even when the selector gives no hint of it.
+        const text = extractPromptSecrets(prompt).includes(step.text) ? '[REDACTED]' : safeStepForLogging(step).text;
+        return `${data.matched ? `badge ${badge} on ${data.element}` : 'target NOT FOUND'}\n   would type "${text}"`;
+    }
+    if (step.action !== 'FILL_FORM') {
+        return data.matched ? `badge ${badge} on ${data.element}` : 'target NOT FOUND';
+    }
+
+    const safeFields = safeStepForLogging(step).fields;
+    const fieldLines = (data.fields || []).map((field, index) => {
+        const value = safeFields[index] ? safeFields[index].value : '';
+        return `\n   - ${field.field} = "${value}" -> ${field.matched ? field.element : 'NOT FOUND'}`;
+    }).join('');
+    const submitLine = data.submit
+        ? `\n   would submit via ${data.submit.method}${data.submit.element ? ` (${data.submit.element})` : ''}`
+        : '\n   would not submit';
+    return `${data.matched ? 'all fields found' : 'some fields NOT FOUND'}${fieldLines}${submitLine}`;
+}
+
+// Steps that would stop for approval in a real run, such as PRESS_KEY Enter submitting a form, say so in the report.
+function describePreviewRisk(step, execution) {
+    const riskInfo = classifyStepRisk(step, execution.prompt, execution.currentHost);
+    return riskInfo.level === 'high' ? `\n   would ask for approval: ${riskInfo.reasons.join(', ')}` : '';
+}
+
+// Runs one sanitized step, asking for approval first when it is high risk, and tallies execution.counts.
+// Resolves to { status: 'completed' | 'skipped' | 'failed' } plus the background response or the error.
+async function executePlanStep(step, execution) {
+    const { prompt, runId, signal, shouldStop, counts } = execution;
+
+    if (step.action === 'REPLY' || step.action === 'DONE') {
+        window.appendMessage(redactSensitiveText(step.message), 'bot-msg');
+        counts.completed += 1;
+        return { status: 'completed' };
+    }
+
+    const riskInfo = classifyStepRisk(step, prompt, execution.currentHost);
+    if (riskInfo.level === 'high') {
+        const approval = await requestApprovalIfNeeded(step, riskInfo, shouldStop);
+        if (!approval.approved) {
+            const reason = `approval ${approval.reason || 'denied'}`;
+            window.appendActionLog(`Skipped ${step.action}: ${reason}`);
+            counts.skipped += 1;
+            return { status: 'skipped', reason };
+        }
+    }
+
+    try {
+        const response = await executeStepWithRecovery(step, runId, signal, shouldStop);
+        if (step.action === 'EXTRACT_STRUCTURED') {
+            await refineExtractedRecords(step, response, execution);
+        }
+        logExecutionResult(step, response);
+        renderStructuredResult(step, response);
+        counts.completed += 1;
+
+        const resultWithData = Array.isArray(response.results)
+            ? response.results.find(result => result.status === 'success' && result.data && typeof result.data === 'object')
+            : null;
+        if (resultWithData) {
+            execution.lastData = resultWithData.data;
+        }
+        if (step.id) {
+            execution.outputs[step.id] = buildStepOutput(response);
+        }
+
+        const nextHost = getHostFromStep(step);
+        if (nextHost) {
+            execution.currentHost = nextHost;
+        }
+        return { status: 'completed', response };
+    } catch (error) {
+        counts.failed += 1;
+        window.appendActionLog(`Action failed: ${redactSensitiveText(error.message)}`);
+        window.appendMessage(buildRemediationMessage(step, error.message), 'system-msg');
+        return { status: 'failed', error };
+    }
+}
+
+// Observe-plan-act: each round re-reads the tabs and the active page, shows the planner what has run so far and
+// executes the actions it returns, re-observing after any step that may change the page. A failed or skipped
+// step is reported back instead of ending the run. The run ends on DONE, on a round with no browser action,
+// or after MAX_AGENT_ITERATIONS rounds.
+async function runIterativeLoop({ prompt, defaultTarget, credentials, runContext, runUsage, execution }) {
+    const { runId, signal, shouldStop } = execution;
+    const history = [];
+
+    for (let iteration = 1; iteration <= MAX_AGENT_ITERATIONS; iteration++) {
+        assertNotStopped(shouldStop);
+        const roundLabel = `Round ${iteration}/${MAX_AGENT_ITERATIONS}`;
+        window.updateAgentStatus(`${roundLabel}: observing the page...`);
+
+        const tabSnapshot = await tryGetTabSnapshot(signal);
+        const pageContext = await tryGetPageContext(runId, signal);
+        const screenshot = runContext.visionEnabled
+            ? await tryCaptureScreenshot(runId, signal)
+            : null;
+        assertNotStopped(shouldStop);
+
+        window.updateAgentStatus(`${roundLabel}: choosing the next action...`);
+        const plannerOutput = await requestPlannerOutput({
+            prompt: buildIterationPrompt(prompt, history, iteration, Object.keys(execution.outputs)),
+            tabSnapshot,
+            pageContext,
+            screenshot,
+            defaultTarget,
+            runId,
+            credentials,
+            runContext,
+            // Only the actions taken so far, not what they observed, so a replayed run matches its recording.
+            replayScope: { prompt: redactPromptForStorage(prompt), round: iteration, actions: history.map(entry => entry.step) },
+            signal,
+            onUsage: usage => addUsageToTally(runUsage, usage)
+        });
+        assertNotStopped(shouldStop);
+
+        if (plannerOutput.analysis) {
+            window.appendMessage(`Analysis: ${plannerOutput.analysis}`, 'system-msg');
+        }
+
+        const planIssues = [];
+        const plan = sanitizePlan(plannerOutput.plan, defaultTarget, planIssues);
+        reportPlanIssues(planIssues, runId);
+        window.appendActionLog(`[${runId}] ${roundLabel}: ${plan.map(formatStepSummary).join(', ')}`);
+
+        let finished = !plan.some(step => step.action !== 'REPLY' && step.action !== 'DONE');
+        for (const step of plan) {
+            assertNotStopped(shouldStop);
+            window.updateAgentStatus(`${roundLabel}: ${step.action}`);
+
+            const outcome = await runStep(step, execution, { label: String(history.length + 1), vars: null });
+            if (outcome.halt) {
+                finished = true;
+                break;
+            }
+            if (step.action === 'REPLY') {
+                continue;
+            }
+
+            history.push({ step: formatStepSummary(step), result: describeStepOutcome(outcome) });
+            if (outcome.status !== 'completed' || PAGE_CHANGING_ACTIONS.has(step.action) || CONTROL_ACTIONS.has(step.action)) {
+                break;
+            }
+            await cancellableDelay(STEP_DELAY_MS, shouldStop, signal);
+        }
+
+        if (finished) {
+            return;
+        }
+    }
+
+    window.appendMessage(`Stopped after ${MAX_AGENT_ITERATIONS} rounds without the planner finishing. Ask again to continue from the current page.`, 'system-msg');
+}
+
+function buildIterationPrompt(prompt, history, iteration, outputIds = []) {
+    const firstShown = Math.max(0, history.length - MAX_ITERATION_HISTORY);
+    const lines = history
+        .slice(firstShown)
+        .map((entry, index) => `${firstShown + index + 1}. ${entry.step} -> ${entry.result}`);
+
+    return [
+        prompt,
+        '',
+        `Round ${iteration} of ${MAX_AGENT_ITERATIONS}.`,
+        lines.length ? `Actions taken so far:\n${lines.join('\n')}` : 'No actions taken yet.',
+        ...(outputIds.length ? [`Step results you can reference: ${outputIds.map(id => `{{${id}.field}}`).join(', ')}`] : [])
+    ].join('\n');
+}
+
+function describeStepOutcome(outcome) {
+    if (outcome.status === 'failed') {
+        return `failed: ${redactSensitiveText(outcome.error.message)}`;
+    }
+    if (outcome.status === 'skipped') {
+        return `skipped (${outcome.reason})`;
+    }
+
+    const results = outcome.response && Array.isArray(outcome.response.results) ? outcome.response.results : [];
+    const scraped = results.find(result => result.status === 'success' && result.data && typeof result.data.text === 'string');
+    if (scraped) {
+        return `completed. Text: ${redactSensitiveText(scraped.data.text.slice(0, 400))}`;
+    }
+
+    const failedTabs = results.filter(result => result.status !== 'success').length;
+    return failedTabs
+        ? `completed on ${results.length - failedTabs}/${results.length} tab(s)`
+        : 'completed';
+}
+
+function reportPlanIssues(planIssues, runId) {
+    if (!planIssues.length) {
+        return;
+    }
+    window.appendMessage(`Plan validation found ${planIssues.length} issue(s); invalid steps were dropped. See the action log for details.`, 'system-msg');
+    planIssues.forEach(issue => window.appendActionLog(`[${runId}] Plan validation: ${redactSensitiveText(issue)}`));
+}
+
+// Models without image input reject the screenshot outright, so vision runs retry once from page text alone.
+async function requestPlannerOutput(plannerRequest) {
+    if (!plannerRequest.screenshot) {
+        return await requestPlannerOutputForMode(plannerRequest);
+    }
+
+    try {
+        return await requestPlannerOutputForMode(plannerRequest);
+    } catch (error) {
+        if (isAbortError(error) || !/\b(image|images|image_url|vision|multimodal|inline_?data)\b/i.test(error.message)) {
+            throw error;
+        }
+        window.appendActionLog(`[${plannerRequest.runId}] Model rejected the screenshot. Planning from page text only: ${redactSensitiveText(error.message)}`);
+        return await requestPlannerOutputForMode({ ...plannerRequest, screenshot: null });
+    }
+}
+
+// Picks the strongest output mode the provider supports: native tool calls, then schema-constrained JSON,
+// then free-text JSON. Each mode falls back to the next when the model rejects it.
+// replayScope ({ prompt, round, actions }) keys replay fixtures in place of the full planning prompt, which carries
+// live tab ids, titles, URLs and page context that differ between sessions.
+async function requestPlannerOutputForMode({ prompt, tabSnapshot, pageContext, screenshot, defaultTarget, runId, credentials, runContext, replayScope, signal, onUsage }) {
+    const { apiKey, provider, model, baseUrl } = credentials;
+    const supportsTools = name => typeof window.supportsNativeTools === 'function' && window.supportsNativeTools(name);
+    const useNativeTools = supportsTools(provider);
+    const iterative = Boolean(runContext.iterative);
+    const presetGeneration = runContext.precisePlanning ? PLANNER_GENERATION_PRESET : {};
+    const requestOptions = {
+        signal,
+        providerConfig: runContext.providerConfig,
+        generation: { ...(runContext.generation || {}), ...presetGeneration },
+        failover: (runContext.failoverProfiles || []).map(profile => ({
+            ...profile,
+            generation: { ...(profile.generation || {}), ...presetGeneration }
+        })),
+        onUsage,
+        replayScope: {
+            ...(replayScope || { prompt: redactPromptForStorage(prompt) }),
+            kind: 'planner',
+            target: defaultTarget,
+            vision: Boolean(screenshot),
+            iterative
+        },
+        replaySecrets: extractPromptSecrets(prompt),
+        onRetry: ({ status, attempt, delayMs }) => {
+            window.appendActionLog(`[${runId}] Planner got HTTP ${status}; retry ${attempt} in ${Math.round(delayMs / 100) / 10}s`);
+        },
+        onFailover: ({ from, to, error }) => {
+            window.appendActionLog(`[${runId}] Planner provider ${from} failed (${redactSensitiveText(error.message)}). Trying ${to}`);
+        }
+    };
+
+    // JSON planning runs on the primary profile unless tool planning failed over every tool-capable one.
+    let jsonProfile = { apiKey, provider, model, baseUrl, providerConfig: requestOptions.providerConfig, generation: requestOptions.generation };
+    let jsonFailover = requestOptions.failover;
+
+    if (useNativeTools) {
+        // The tools prompt has no JSON format rules, so only profiles that take tools can answer it. The others
+        // are kept for JSON planning below.
+        const toolFailover = requestOptions.failover.filter(profile => supportsTools(profile.provider));
+        const jsonOnlyFailover = requestOptions.failover.filter(profile => !supportsTools(profile.provider));
+        const systemPrompt = buildSystemPrompt(defaultTarget, { nativeTools: true, vision: Boolean(screenshot), iterative });
+        const fullPrompt = buildPlanningPrompt(systemPrompt, prompt, tabSnapshot, pageContext, { provider, model, screenshot });
+        try {
+            const completion = await window.generateChatCompletion(
+                attachScreenshot(fullPrompt, screenshot),
+                apiKey,
+                provider,
+                model,
+                baseUrl,
+                {
+                    ...requestOptions,
+                    failover: toolFailover,
+                    tools: buildPlannerTools(iterative),
+                    toolChoice: 'required'
+                }
+            );
+
+            if (completion.toolCalls.length) {
+                return plannerOutputFromToolCalls(completion);
+            }
+            return parsePlannerResponse(completion.text);
+        } catch (error) {
+            if (isAbortError(error)) {
+                throw error;
+            }
+            if (error.replayMiss || /\b(tools?|function[_ ]?call\w*|tool_choice)\b/i.test(error.message)) {
+                window.appendActionLog(`[${runId}] Tool calling unavailable for this model. Falling back to JSON planning: ${redactSensitiveText(error.message)}`);
+            } else if (jsonOnlyFailover.length) {
+                [jsonProfile, ...jsonFailover] = jsonOnlyFailover;
+                window.appendActionLog(`[${runId}] Planner providers with tool calling failed (${redactSensitiveText(error.message)}). Trying ${jsonProfile.provider} with JSON planning`);
+            } else {
+                throw error;
+            }
+        }
+    }
+
+    const jsonOptions = { ...requestOptions, providerConfig: jsonProfile.providerConfig, generation: jsonProfile.generation, failover: jsonFailover };
+    const systemPrompt = buildSystemPrompt(defaultTarget, { vision: Boolean(screenshot), iterative });
+    const fullPrompt = buildPlanningPrompt(systemPrompt, prompt, tabSnapshot, pageContext, { provider: jsonProfile.provider, model: jsonProfile.model, screenshot });
+    const plannerInput = attachScreenshot(fullPrompt, screenshot);
+    const generateJson = options => window.generateChatResponse(
+        plannerInput,
+        jsonProfile.apiKey,
+        jsonProfile.provider,
+        jsonProfile.model,
+        jsonProfile.baseUrl,
+        options
+    );
+
+    if (typeof window.supportsResponseSchema === 'function' && window.supportsResponseSchema(jsonProfile.provider)) {
+        try {
+            const rawPlanResponse = await generateJson({
+                ...jsonOptions,
+                responseSchema: { name: 'agent_plan', schema: buildPlannerResponseSchema(iterative) }
+            });
+            return parsePlannerResponse(rawPlanResponse);
+        } catch (error) {
+            if (isAbortError(error) || !(error.replayMiss || isResponseSchemaRejection(error))) {
+                throw error;
+            }
+            window.appendActionLog(`[${runId}] Structured output unavailable for this model. Falling back to free-text JSON: ${redactSensitiveText(error.message)}`);
+        }
+    }
+
+    const rawPlanResponse = await generateJson(jsonOptions);
+    return parsePlannerResponse(rawPlanResponse);
+}
+
+// Only a request rejected for its structured-output parameter counts. Errors such as "Invalid response format from X."
+// (an empty or malformed reply) must not trigger a second, billed planner request.
+function isResponseSchemaRejection(error) {
+    const message = String(error.message || '');
+    if (!/\b(response_format|json_schema|response_?schema|response_?mime_?type)\b/i.test(message)) {
+        return false;
+    }
+    return error.status === 400 || error.status === 422 || /\b(unsupported|not supported|invalid|unknown|unrecognized|400)\b/i.test(message);
+}
+
+function attachScreenshot(fullPrompt, screenshot) {
+    if (!screenshot) {
+        return fullPrompt;
+    }
+    return [{
+        role: 'user',
+        content: [
+            { type: 'text', text: fullPrompt },
+            { type: 'image', dataUrl: screenshot.dataUrl }
+        ]
+    }];
+}
+
+// DONE is only offered in step-by-step mode; a one-shot plan simply ends after its last step.
+function getPlannerActions(iterative) {
+    return Array.from(ALLOWED_ACTIONS).filter(action => iterative || action !== 'DONE');
+}
+
+function buildPlannerTools(iterative = false) {
+    const actions = getPlannerActions(iterative);
+    const blockStepSchema = buildStepSchema(getBlockActions(actions));
+    return actions
+        .filter(action => ACTION_TOOL_DEFINITIONS[action])
+        .map(action => {
+            const definition = ACTION_TOOL_DEFINITIONS[action];
+            return {
+                name: action,
+                description: definition.description,
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        ...expandNestedSteps(definition.properties, blockStepSchema),
+                        id: STEP_ID_TOOL_SCHEMA,
+                        reason: { type: 'string', description: 'Short reason for this step.' }
+                    },
+                    ...(definition.required ? { required: definition.required } : {})
+                }
+            };
+        });
+}
+
+// Schemas describe one level of nesting (block steps cannot hold further blocks); sanitizePlan enforces the rest.
+function buildPlannerResponseSchema(iterative = false) {
+    const actions = getPlannerActions(iterative);
+    return {
+        type: 'object',
+        properties: {
+            analysis: { type: 'string', description: 'Short intent and strategy summary.' },
+            todos: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: { task: { type: 'string' }, reason: { type: 'string' } },
+                    required: ['task']
+                }
+            },
+            plan: {
+                type: 'array',
+                items: buildStepSchema(actions, buildStepSchema(getBlockActions(actions)))
+            }
+        },
+        required: ['analysis', 'plan']
+    };
+}
+
+function getBlockActions(actions) {
+    return actions.filter(action => !CONTROL_ACTIONS.has(action) && action !== 'DONE');
+}
+
+// One flat step shape for the given actions (Gemini's schema subset has no oneOf); sanitizePlan enforces per-action rules.
+function buildStepSchema(actions, blockStepSchema = null) {
+    const properties = { action: { type: 'string', enum: actions }, id: STEP_ID_TOOL_SCHEMA };
+    actions.forEach(action => {
+        const definition = ACTION_TOOL_DEFINITIONS[action];
+        Object.entries(expandNestedSteps(definition.properties, blockStepSchema)).forEach(([key, schema]) => {
+            if (!properties[key]) {
+                properties[key] = schema;
+            }
+        });
+    });
+    return { type: 'object', properties, required: ['action'] };
+}
+
+function expandNestedSteps(properties, blockStepSchema) {
+    return Object.fromEntries(Object.entries(properties).map(([key, schema]) => [
+        key,
+        schema === NESTED_STEPS_SCHEMA ? { ...NESTED_STEPS_SCHEMA, items: blockStepSchema } : schema
+    ]));
+}
+
+function plannerOutputFromToolCalls(completion) {
+    const plan = [];
+    const todos = [];
+
+    completion.toolCalls.forEach(call => {
+        const action = String(call.name || '').trim().toUpperCase();
+        const args = call.arguments && typeof call.arguments === 'object' ? call.arguments : {};
+        const { reason, ...params } = args;
+        const step = { ...params, action };
+
+        plan.push(step);
+        todos.push({
+            task: `Step ${plan.length}: ${formatStepSummary(sanitizePlan([step], { mode: 'active' })[0])}`,
+            reason: typeof reason === 'string' ? reason : '',
+            action: step
+        });
+    });
+
+    return {
+        analysis: sanitizeText(completion.text, 700),
+        todos,
+        plan
+    };
+}
+
+function createUsageTally() {
+    return { calls: 0, promptTokens: 0, completionTokens: 0, costUsd: 0, costKnown: true };
+}
+
+function addUsageToTally(tally, usage) {
+    if (!usage) {
+        return;
+    }
+    tally.calls += 1;
+    tally.promptTokens += usage.promptTokens || 0;
+    tally.completionTokens += usage.completionTokens || 0;
+    if (typeof usage.costUsd === 'number') {
+        tally.costUsd += usage.costUsd;
+    } else {
+        tally.costKnown = false;
+    }
+}
+
+function formatUsageTally(tally) {
+    if (!tally.calls) {
+        return '';
+    }
+    const cost = tally.costKnown ? `~$${tally.costUsd.toFixed(4)}` : 'cost unknown for this model';
+    return ` Tokens: ${tally.promptTokens.toLocaleString()} in / ${tally.completionTokens.toLocaleString()} out over ${tally.calls} call(s) (${cost}).`;
+}
+
 async function tryGetTabSnapshot(signal) {
     try {
         return await sendRuntimeMessage({ type: 'GET_TAB_SNAPSHOT' }, signal);
@@ -229,7 +1575,10 @@ async function tryGetPageContextIfNeeded(prompt, runId, signal) {
     if (!shouldFetchContext) {
         return null;
     }
+    return await tryGetPageContext(runId, signal);
+}
 
+async function tryGetPageContext(runId, signal) {
     try {
         window.appendActionLog(`[${runId}] Collecting current page context`);
         return await sendRuntimeMessage({ type: 'GET_PAGE_CONTEXT', runId }, signal);
@@ -239,9 +1588,26 @@ async function tryGetPageContextIfNeeded(prompt, runId, signal) {
     }
 }
 
-function buildSystemPrompt(defaultTarget) {
-    return `You are rithcon, a browser AI agent.
-Generate ONLY valid JSON (no markdown).
+async function tryCaptureScreenshot(runId, signal) {
+    try {
+        const capture = await sendRuntimeMessage({ type: 'CAPTURE_VISIBLE_TAB' }, signal);
+        window.appendActionLog(`[${runId}] Captured screenshot of the active tab`);
+        return capture;
+    } catch (error) {
+        if (isAbortError(error)) {
+            throw error;
+        }
+        window.appendActionLog(`[${runId}] Screenshot skipped: ${redactSensitiveText(error.message)}`);
+        return null;
+    }
+}
+
+function buildSystemPrompt(defaultTarget, options = {}) {
+    const outputFormat = options.nativeTools
+        ? `Plan by calling the provided tools: one tool call per plan step, in execution order, all in a single response.
+Each tool is a browser action. Put a short "reason" on every call.
+Before the tool calls you may write one short sentence describing your strategy.`
+        : `Generate ONLY valid JSON (no markdown).
 Output format must be:
 {
   "analysis": "short intent + strategy summary",
@@ -262,6 +1628,10 @@ Allowed actions:
   { "action": "PLAY_MEDIA", "target": { "mode": "active|all" } },
   { "action": "CLICK", "selector": "...", "text": "optional", "target": { "mode": "active|all|domain", "value": "optional" } },
   { "action": "TYPE", "selector": "...", "text": "...", "clear": true, "target": { "mode": "active|all|domain", "value": "optional" } },
+  { "action": "SCROLL", "mode": "page|element|text", "direction": "down|up|top|bottom", "amount": 800, "selector": "for element", "text": "for text" },
+  { "action": "HOVER", "selector": "...", "text": "optional" },
+  { "action": "PRESS_KEY", "key": "Enter|Escape|Tab|ArrowDown|a", "modifiers": ["ctrl", "shift", "alt", "meta"], "selector": "optional" },
+  { "action": "SELECT_OPTION", "option": "text or value", "selector": "optional", "label": "optional" },
   {
     "action": "FILL_FORM",
     "fields": [
@@ -274,8 +1644,37 @@ Allowed actions:
   { "action": "ANALYZE_PAGE", "includeText": true, "maxTextChars": 3000, "target": { "mode": "active|all|domain", "value": "optional" } },
   { "action": "VISUALIZE_PAGE", "target": { "mode": "active|all|domain", "value": "optional" } },
   { "action": "SCRAPE_PAGE", "maxChars": 5000, "target": { "mode": "active|all|domain", "value": "optional" } },
-  { "action": "WAIT", "ms": 800 }
-]
+  { "action": "EXTRACT_STRUCTURED", "schema": [ { "name": "title", "type": "text|number|url|image|boolean", "selector": "optional" } ], "itemSelector": "optional", "maxRecords": 20, "target": { "mode": "active|all|domain", "value": "optional" } },
+  { "action": "WAIT", "ms": 800 },
+  { "action": "WAIT_FOR", "until": "selector_visible|selector_hidden|text_appears|url_matches|network_idle|dom_stable", "selector": "optional", "text": "optional", "pattern": "optional", "quietMs": 500, "timeoutMs": 10000 },
+  { "action": "IF", "condition": { "type": "element_exists|text_present|url_matches", "selector": "optional", "text": "optional", "pattern": "optional", "negate": false }, "steps": [ ...actions... ], "elseSteps": [ ...actions... ] },
+  { "action": "REPEAT_UNTIL", "condition": { ... }, "steps": [ ...actions... ], "maxIterations": 5 },
+  { "action": "FOR_EACH", "list": "links", "limit": 5, "steps": [ ...actions using {{item.href}}, {{item.text}}, {{index}}... ] }${options.iterative ? ',\n  { "action": "DONE", "message": "..." }' : ''}
+]`;
+
+    const extraRules = [
+        `Use IF for optional page states (e.g. dismiss a cookie banner only if it exists), REPEAT_UNTIL for repetition such as "load more" (max ${MAX_LOOP_ITERATIONS} rounds) and FOR_EACH to act on each entry of a list ("links", "buttons", "headings", "forms") from the most recent ANALYZE_PAGE result, referencing the entry as {{item.field}}. Nest blocks at most ${MAX_BLOCK_DEPTH} levels deep with at most ${MAX_BLOCK_STEPS} steps each.`
+    ];
+    extraRules.push('After navigation or clicks that load content, prefer WAIT_FOR (e.g. selector_visible for the element you need next) over a fixed WAIT.');
+    extraRules.push('Use SCROLL to load more of an infinite feed or to bring text into view, HOVER to open hover menus, PRESS_KEY for Enter, Escape, Tab or arrow keys, and SELECT_OPTION for dropdowns instead of clicking options.');
+    extraRules.push('To collect lists of items such as product names and prices, use EXTRACT_STRUCTURED with one schema field per value instead of SCRAPE_PAGE. Its result has "records".');
+    extraRules.push('Any step may have an "id"; later steps use its result as {{id.field}}. OPEN_TAB gives tabId and url, SCRAPE_PAGE gives text and title, ANALYZE_PAGE gives links, buttons, headings and forms, e.g. SWITCH_TAB with "tabId": "{{open1.tabId}}" or NAVIGATE to "{{analyze.links[0].href}}". FOR_EACH "list" may also name a result, e.g. "analyze.links".');
+    if (options.vision) {
+        extraRules.push('A screenshot of the visible part of the active tab is attached. Use it to understand layout, icon-only buttons and canvas content, but target elements with selectors or visible text, never with coordinates.');
+    }
+    if (options.iterative) {
+        extraRules.push(`You work step by step: plan only the next action(s) for the page as it is now. The page is observed again after anything that may change it, and you will see the results. Use DONE with a short message for the user once the goal is reached or cannot be reached.`);
+    }
+    const firstExtraRule = options.nativeTools ? 8 : 9;
+    const extraRuleText = extraRules.map((rule, index) => `\n${firstExtraRule + index}. ${rule}`).join('');
+
+    const formatRules = options.nativeTools
+        ? '7. Use the REPLY tool for answers that need no browser action.'
+        : `7. For every plan step, include a corresponding todo.
+8. Never output markdown fences or prose.`;
+
+    return `You are rithcon, a browser AI agent.
+${outputFormat}
 
 Rules:
 1. Use browser actions whenever user asks to interact with websites.
@@ -284,35 +1683,99 @@ Rules:
 4. For visual/inspection requests, use ANALYZE_PAGE and optionally VISUALIZE_PAGE.
 5. Keep plans short, safe, and deterministic (max ${MAX_PLAN_STEPS} steps, max ${MAX_TODOS} todos).
 6. Default target is ${JSON.stringify(defaultTarget)} unless user explicitly asks otherwise.
-7. For every plan step, include a corresponding todo.
-8. Never output markdown fences or prose.`;
+${formatRules}${extraRuleText}`;
 }
 
-function buildPlanningPrompt(systemPrompt, userPrompt, tabSnapshot, pageContext) {
-    const tabContext = tabSnapshot && Array.isArray(tabSnapshot.tabs)
-        ? tabSnapshot.tabs.slice(0, 12).map(tab => ({
-            id: tab.id,
-            active: tab.active,
-            title: tab.title,
-            url: tab.url
-        }))
-        : [];
-
+// The system prompt and user request are always sent whole; tab and page context shrink structurally to fit
+// the model's token budget so they stay valid JSON.
+function buildPlanningPrompt(systemPrompt, userPrompt, tabSnapshot, pageContext, { provider = '', model = '', screenshot = null } = {}) {
+    const estimate = text => estimatePromptTokens(text, provider);
+    const totalBudget = typeof window.getContextTokenBudget === 'function'
+        ? window.getContextTokenBudget(provider, model)
+        : 8000;
+    const screenshotTokens = screenshot && typeof window.estimateMessageTokens === 'function'
+        ? window.estimateMessageTokens({ role: 'user', content: [{ type: 'image' }] }, provider)
+        : 0;
+    let remainingBudget = totalBudget - estimate(systemPrompt) - estimate(userPrompt) - screenshotTokens - 32;
+
+    const tabs = tabSnapshot && Array.isArray(tabSnapshot.tabs) ? tabSnapshot.tabs : [];
     const pageData = pageContext && pageContext.data
         ? pageContext.data
         : null;
 
     const contextSections = [];
-    if (tabContext.length) {
-        contextSections.push(`Open tabs: ${safeJson(tabContext, 1800)}`);
+    if (tabs.length) {
+        const tabJson = fitTabContext(tabs, Math.max(0, Math.floor(remainingBudget * TAB_CONTEXT_BUDGET_SHARE)), estimate);
+        if (tabJson) {
+            contextSections.push(`Open tabs: ${tabJson}`);
+            remainingBudget -= estimate(tabJson);
+        }
     }
     if (pageData) {
-        contextSections.push(`Current page context: ${safeJson(pageData, 3200)}`);
+        const pageJson = fitPageContext(pageData, remainingBudget, estimate);
+        if (pageJson) {
+            contextSections.push(`Current page context: ${pageJson}`);
+        }
     }
 
     return `${systemPrompt}\n\nUser request: ${userPrompt}\n\n${contextSections.join('\n\n')}`;
 }
 
+function estimatePromptTokens(text, provider) {
+    if (typeof window.estimateTokens === 'function') {
+        return window.estimateTokens(text, provider);
+    }
+    return Math.ceil(String(text || '').length / 4);
+}
+
+function fitTabContext(tabs, maxTokens, estimate) {
+    for (let count = Math.min(tabs.length, 12); count > 0; count = Math.floor(count / 2)) {
+        const json = JSON.stringify(tabs.slice(0, count).map(tab => ({
+            id: tab.id,
+            active: tab.active,
+            title: String(tab.title || '').slice(0, count > 6 ? 120 : 60),
+            url: tab.url
+        })));
+        if (estimate(json) <= maxTokens) {
+            return json;
+        }
+    }
+    return '';
+}
+
+function fitPageContext(pageData, maxTokens, estimate) {
+    for (const level of PAGE_CONTEXT_LEVELS) {
+        const json = JSON.stringify(compactPageData(pageData, level));
+        if (estimate(json) <= maxTokens) {
+            return json;
+        }
+    }
+    return maxTokens > 0
+        ? JSON.stringify({ url: String(pageData.url || '').slice(0, 240), title: String(pageData.title || '').slice(0, 120) })
+        : '';
+}
+
+function compactPageData(pageData, level) {
+    const take = (list, count) => (Array.isArray(list) ? list.slice(0, count) : []);
+    const compact = {
+        url: pageData.url,
+        title: pageData.title,
+        headings: take(pageData.headings, level.headings),
+        forms: take(pageData.forms, level.forms).map(form => ({
+            ...form,
+            fields: take(form.fields, level.fields)
+        })),
+        buttons: take(pageData.buttons, level.buttons),
+        links: take(pageData.links, level.links),
+        loginHints: take(pageData.loginHints, level.hints)
+    };
+
+    if (level.textChars && typeof pageData.textSample === 'string' && pageData.textSample) {
+        compact.textSample = pageData.textSample.slice(0, level.textChars);
+    }
+    return compact;
+}
+
 function parsePlannerResponse(rawResponse) {
     const fallback = {
         analysis: '',
@@ -388,138 +1851,457 @@ function parsePlannerResponse(rawResponse) {
     };
 }
 
-function sanitizePlan(plan, defaultTarget) {
+// Pass an issues array to collect one message per dropped step or field, e.g. 'Step 2 (CLICK): needs "selector" or "text".'
+// Nested steps of IF / REPEAT_UNTIL / FOR_EACH are reported with dotted labels such as 'Step 3.1'.
+// Plans may hold {{...}} references in URLs and tab ids; resolveStepTemplates checks the filled-in step again
+// with allowTemplates off, so a value that still looks templated must then pass as a real URL or id.
+function sanitizePlan(plan, defaultTarget, issues = null) {
     if (!Array.isArray(plan)) {
+        if (issues) issues.push('Plan is not a list of steps.');
         return [{ action: 'REPLY', message: 'Invalid plan format.' }];
     }
 
+    const sanitized = sanitizeStepList(plan, defaultTarget, {
+        issues,
+        label: '',
+        depth: 0,
+        maxSteps: MAX_PLAN_STEPS,
+        allowTemplates: true
+    });
+
+    if (!sanitized.length) {
+        return [{ action: 'REPLY', message: 'I could not build a safe action plan for this request.' }];
+    }
+
+    return sanitized;
+}
+
+function sanitizeStepList(rawSteps, defaultTarget, context) {
+    const { issues } = context;
+    if (issues && rawSteps.length > context.maxSteps) {
+        issues.push(context.label
+            ? `Step ${context.label}: only the first ${context.maxSteps} of ${rawSteps.length} nested steps were kept.`
+            : `Only the first ${context.maxSteps} of ${rawSteps.length} steps were kept.`);
+    }
+
     const sanitized = [];
-    for (const rawStep of plan.slice(0, MAX_PLAN_STEPS)) {
-        if (!rawStep || typeof rawStep !== 'object') {
-            continue;
+    const steps = rawSteps.slice(0, context.maxSteps);
+    for (let index = 0; index < steps.length; index++) {
+        const label = context.label ? `${context.label}.${index + 1}` : String(index + 1);
+        const reject = (action, reason) => {
+            if (issues) issues.push(`Step ${label}${action ? ` (${action.slice(0, 40)})` : ''}: ${reason}`);
+        };
+
+        const step = sanitizeStep(steps[index], defaultTarget, reject, { ...context, label });
+        if (step) {
+            sanitized.push(step);
         }
+    }
+    return sanitized;
+}
 
-        const action = typeof rawStep.action === 'string'
-            ? rawStep.action.trim().toUpperCase()
-            : '';
+function sanitizeBlock(rawSteps, defaultTarget, context, key) {
+    if (rawSteps === undefined || rawSteps === null) {
+        return [];
+    }
+    if (!Array.isArray(rawSteps)) {
+        if (context.issues) context.issues.push(`Step ${context.label}: "${key}" must be a list of steps.`);
+        return [];
+    }
+    if (context.depth >= MAX_BLOCK_DEPTH) {
+        if (context.issues) context.issues.push(`Step ${context.label}: blocks can be nested at most ${MAX_BLOCK_DEPTH} levels deep.`);
+        return [];
+    }
 
-        if (!ALLOWED_ACTIONS.has(action)) {
-            continue;
-        }
+    return sanitizeStepList(rawSteps, defaultTarget, {
+        ...context,
+        label: key === 'steps' ? context.label : `${context.label}.${key}`,
+        depth: context.depth + 1,
+        maxSteps: MAX_BLOCK_STEPS
+    });
+}
 
-        const step = { action };
-        if (TAB_ACTIONS.has(action)) {
-            step.target = normalizeTarget(rawStep.target, defaultTarget);
+// Returns the sanitized step, or null after reporting why it was dropped.
+function sanitizeStep(rawStep, defaultTarget, reject, context) {
+    if (!rawStep || typeof rawStep !== 'object') {
+        reject('', 'is not an object.');
+        return null;
+    }
+
+    const action = typeof rawStep.action === 'string'
+        ? rawStep.action.trim().toUpperCase()
+        : '';
+
+    if (!ALLOWED_ACTIONS.has(action)) {
+        reject(action, action ? 'is not an allowed action.' : 'is missing "action".');
+        return null;
+    }
+
+    const step = { action };
+    if (rawStep.id !== undefined && rawStep.id !== null && rawStep.id !== '') {
+        const id = sanitizeText(String(rawStep.id), 40);
+        if (!STEP_ID_PATTERN.test(id) || RESERVED_TEMPLATE_NAMES.has(id)) {
+            reject(action, `"id" must start with a letter, use only letters, digits, "_" or "-", and not be ${Array.from(RESERVED_TEMPLATE_NAMES).join(' or ')}.`);
+            return null;
         }
+        step.id = id;
+    }
+    if (TAB_ACTIONS.has(action)) {
+        step.target = normalizeTarget(rawStep.target, defaultTarget);
+    }
 
-        switch (action) {
-            case 'REPLY': {
-                const message = sanitizeText(rawStep.message, MAX_REPLY_LENGTH);
-                if (!message) {
-                    continue;
-                }
-                step.message = message;
-                break;
+    switch (action) {
+        case 'REPLY': {
+            const message = sanitizeText(rawStep.message, MAX_REPLY_LENGTH);
+            if (!message) {
+                reject(action, 'needs a non-empty "message".');
+                return null;
             }
-            case 'NAVIGATE':
-            case 'OPEN_TAB': {
-                const url = sanitizeUrl(rawStep.url);
-                if (!url) {
-                    continue;
-                }
-                step.url = url;
-                if (action === 'OPEN_TAB') {
-                    step.active = Boolean(rawStep.active);
-                }
-                break;
+            step.message = message;
+            break;
+        }
+        case 'DONE': {
+            step.message = sanitizeText(rawStep.message, MAX_REPLY_LENGTH) || 'Done.';
+            break;
+        }
+        case 'NAVIGATE':
+        case 'OPEN_TAB': {
+            // A templated URL such as {{item.href}} is checked again once it has been resolved.
+            const url = context.allowTemplates && hasTemplate(rawStep.url)
+                ? sanitizeText(rawStep.url, 2048)
+                : sanitizeUrl(rawStep.url);
+            if (!url) {
+                reject(action, '"url" must be an http(s) URL.');
+                return null;
             }
-            case 'SWITCH_TAB': {
-                const tabId = Number(rawStep.tabId);
-                if (!Number.isFinite(tabId) || tabId <= 0) {
-                    continue;
-                }
-                step.tabId = tabId;
-                break;
+            step.url = url;
+            if (action === 'OPEN_TAB') {
+                step.active = Boolean(rawStep.active);
             }
-            case 'GOOGLE_SEARCH':
-            case 'SEARCH_YOUTUBE': {
-                const query = sanitizeText(rawStep.query, 280);
-                if (!query) {
-                    continue;
-                }
-                step.query = query;
+            break;
+        }
+        case 'SWITCH_TAB': {
+            if (context.allowTemplates && hasTemplate(rawStep.tabId)) {
+                step.tabId = sanitizeText(rawStep.tabId, 120);
                 break;
             }
-            case 'PLAY_MEDIA':
-            case 'VISUALIZE_PAGE':
-                break;
-            case 'CLICK': {
-                const selector = sanitizeSelector(rawStep.selector);
-                const text = sanitizeText(rawStep.text, 180);
-                if (!selector && !text) {
-                    continue;
-                }
-                if (selector) step.selector = selector;
-                if (text) step.text = text;
-                break;
+            const tabId = Number(rawStep.tabId);
+            if (!Number.isFinite(tabId) || tabId <= 0) {
+                reject(action, '"tabId" must be a positive number.');
+                return null;
             }
-            case 'TYPE': {
-                const selector = sanitizeSelector(rawStep.selector);
-                const text = sanitizeText(rawStep.text, MAX_FIELD_TEXT_LENGTH);
-                if (!selector || !text) {
-                    continue;
-                }
-                step.selector = selector;
+            step.tabId = tabId;
+            break;
+        }
+        case 'GOOGLE_SEARCH':
+        case 'SEARCH_YOUTUBE': {
+            const query = sanitizeText(rawStep.query, 280);
+            if (!query) {
+                reject(action, 'needs a non-empty "query".');
+                return null;
+            }
+            step.query = query;
+            break;
+        }
+        case 'PLAY_MEDIA':
+        case 'VISUALIZE_PAGE':
+            break;
+        case 'CLICK': {
+            const selector = sanitizeSelector(rawStep.selector);
+            const text = sanitizeText(rawStep.text, 180);
+            if (!selector && !text) {
+                reject(action, 'needs "selector" or "text".');
+                return null;
+            }
+            if (selector) step.selector = selector;
+            if (text) step.text = text;
+            break;
+        }
+        case 'SCROLL': {
+            const selector = sanitizeSelector(rawStep.selector);
+            const text = sanitizeText(rawStep.text, 180);
+            const rawMode = sanitizeText(rawStep.mode, 16).toLowerCase();
+            const mode = SCROLL_MODES.has(rawMode) ? rawMode : text ? 'text' : selector ? 'element' : 'page';
+            if ((mode === 'element' && !selector) || (mode === 'text' && !text)) {
+                reject(action, `mode "${mode}" needs ${mode === 'element' ? '"selector"' : '"text"'}.`);
+                return null;
+            }
+            step.mode = mode;
+            if (mode === 'text') {
                 step.text = text;
-                step.clear = rawStep.clear !== false;
                 break;
             }
-            case 'FILL_FORM': {
-                if (!Array.isArray(rawStep.fields)) {
-                    continue;
+            if (mode === 'element') {
+                step.selector = selector;
+            }
+            const direction = sanitizeText(rawStep.direction, 16).toLowerCase();
+            step.direction = SCROLL_DIRECTIONS.has(direction) ? direction : 'down';
+            if (rawStep.amount !== undefined && Number(rawStep.amount) > 0) {
+                step.amount = clamp(Number(rawStep.amount), 50, 20000);
+            }
+            break;
+        }
+        case 'HOVER': {
+            const selector = sanitizeSelector(rawStep.selector);
+            const text = sanitizeText(rawStep.text, 180);
+            if (!selector && !text) {
+                reject(action, 'needs "selector" or "text".');
+                return null;
+            }
+            if (selector) step.selector = selector;
+            if (text) step.text = text;
+            break;
+        }
+        case 'PRESS_KEY': {
+            const key = normalizeKeyName(rawStep.key);
+            if (!key) {
+                reject(action, `"key" must be one character or one of ${Array.from(NAMED_KEYS).join(', ')}.`);
+                return null;
+            }
+            step.key = key;
+            const modifiers = Array.isArray(rawStep.modifiers)
+                ? rawStep.modifiers.map(modifier => KEY_MODIFIERS[String(modifier).trim().toLowerCase()]).filter(Boolean)
+                : [];
+            if (modifiers.length) {
+                step.modifiers = Array.from(new Set(modifiers));
+            }
+            const selector = sanitizeSelector(rawStep.selector);
+            if (selector) {
+                step.selector = selector;
+            }
+            break;
+        }
+        case 'SELECT_OPTION': {
+            const option = sanitizeText(rawStep.option, 180);
+            if (!option) {
+                reject(action, 'needs a non-empty "option".');
+                return null;
+            }
+            step.option = option;
+            const selector = sanitizeSelector(rawStep.selector);
+            const label = sanitizeText(rawStep.label, 120);
+            if (selector) step.selector = selector;
+            if (label) step.label = label;
+            break;
+        }
+        case 'TYPE': {
+            const selector = sanitizeSelector(rawStep.selector);
+            const text = sanitizeText(rawStep.text, MAX_FIELD_TEXT_LENGTH);
+            if (!selector || !text) {
+                reject(action, `needs ${!selector ? '"selector"' : ''}${!selector && !text ? ' and ' : ''}${!text ? '"text"' : ''}.`);
+                return null;
+            }
+            step.selector = selector;
+            step.text = text;
+            step.clear = rawStep.clear !== false;
+            break;
+        }
+        case 'FILL_FORM': {
+            if (!Array.isArray(rawStep.fields)) {
+                reject(action, '"fields" must be a list.');
+                return null;
+            }
+            const fields = [];
+            rawStep.fields.forEach((rawField, fieldIndex) => {
+                const field = sanitizeFormField(rawField);
+                if (!field) {
+                    reject(action, `field ${fieldIndex + 1} needs a non-empty "value".`);
+                    return;
                 }
-                const fields = rawStep.fields
-                    .map(sanitizeFormField)
-                    .filter(Boolean)
-                    .slice(0, 12);
+                fields.push(field);
+            });
 
-                if (!fields.length) {
-                    continue;
-                }
+            if (!fields.length) {
+                reject(action, 'has no usable fields.');
+                return null;
+            }
 
-                step.fields = fields;
-                step.submit = Boolean(rawStep.submit);
-                const submitSelector = sanitizeSelector(rawStep.submitSelector);
-                if (submitSelector) {
-                    step.submitSelector = submitSelector;
-                }
-                break;
+            step.fields = fields.slice(0, 12);
+            step.submit = Boolean(rawStep.submit);
+            const submitSelector = sanitizeSelector(rawStep.submitSelector);
+            if (submitSelector) {
+                step.submitSelector = submitSelector;
             }
-            case 'ANALYZE_PAGE': {
-                step.includeText = rawStep.includeText !== false;
-                step.maxTextChars = clamp(Number(rawStep.maxTextChars) || 3000, 600, 9000);
-                break;
+            break;
+        }
+        case 'ANALYZE_PAGE': {
+            step.includeText = rawStep.includeText !== false;
+            step.maxTextChars = clamp(Number(rawStep.maxTextChars) || 3000, 600, 9000);
+            break;
+        }
+        case 'SCRAPE_PAGE': {
+            step.maxChars = clamp(Number(rawStep.maxChars) || 5000, 800, 15000);
+            break;
+        }
+        case 'EXTRACT_STRUCTURED': {
+            const schema = sanitizeExtractSchema(rawStep.schema, reason => reject(action, reason));
+            if (!schema.length) {
+                reject(action, `"schema" needs at least one field with a "name" and a type of ${Array.from(EXTRACT_FIELD_TYPES).join(', ')}.`);
+                return null;
             }
-            case 'SCRAPE_PAGE': {
-                step.maxChars = clamp(Number(rawStep.maxChars) || 5000, 800, 15000);
-                break;
+            step.schema = schema;
+            const itemSelector = sanitizeSelector(rawStep.itemSelector);
+            if (itemSelector) {
+                step.itemSelector = itemSelector;
             }
-            case 'WAIT': {
-                step.ms = clamp(Number(rawStep.ms) || 800, 80, 20000);
-                break;
+            step.maxRecords = clamp(Number(rawStep.maxRecords) || 20, 1, MAX_EXTRACT_RECORDS);
+            break;
+        }
+        case 'WAIT': {
+            step.ms = clamp(Number(rawStep.ms) || 800, 80, 20000);
+            break;
+        }
+        case 'WAIT_FOR': {
+            const until = sanitizeText(rawStep.until, 32).toLowerCase();
+            if (!WAIT_FOR_CONDITIONS.has(until)) {
+                reject(action, `"until" must be one of ${Array.from(WAIT_FOR_CONDITIONS).join(', ')}.`);
+                return null;
             }
-            default:
-                continue;
+            step.until = until;
+            if (until === 'selector_visible' || until === 'selector_hidden') {
+                step.selector = sanitizeSelector(rawStep.selector);
+            } else if (until === 'text_appears') {
+                step.text = sanitizeText(rawStep.text, 180);
+            } else if (until === 'url_matches') {
+                step.pattern = sanitizeText(rawStep.pattern || rawStep.text, 240);
+            } else {
+                step.quietMs = clamp(Number(rawStep.quietMs) || 500, 100, 5000);
+            }
+            if (step.selector === '' || step.text === '' || step.pattern === '') {
+                reject(action, `"${until}" needs ${until === 'text_appears' ? '"text"' : until === 'url_matches' ? '"pattern"' : '"selector"'}.`);
+                return null;
+            }
+            step.timeoutMs = clamp(Number(rawStep.timeoutMs) || 10000, 500, MAX_WAIT_FOR_MS);
+            break;
+        }
+        case 'IF':
+        case 'REPEAT_UNTIL': {
+            const condition = sanitizeCondition(rawStep.condition);
+            if (!condition) {
+                reject(action, '"condition" needs a type of element_exists (selector or text), text_present (text) or url_matches (pattern).');
+                return null;
+            }
+            step.condition = condition;
+            step.target = normalizeTarget(rawStep.target, defaultTarget);
+            step.steps = sanitizeBlock(rawStep.steps, defaultTarget, context, 'steps');
+            if (action === 'IF') {
+                step.elseSteps = sanitizeBlock(rawStep.elseSteps, defaultTarget, context, 'elseSteps');
+            } else {
+                step.maxIterations = clamp(Number(rawStep.maxIterations) || 5, 1, MAX_LOOP_ITERATIONS);
+            }
+            if (!step.steps.length && !(step.elseSteps || []).length) {
+                reject(action, 'has no valid nested steps.');
+                return null;
+            }
+            break;
+        }
+        case 'FOR_EACH': {
+            const list = sanitizeText(rawStep.list, 80);
+            if (!/^[A-Za-z_][\w.\-[\]]*$/.test(list)) {
+                reject(action, '"list" must name a list in the previous step\'s data or a step result, e.g. "links" or "analyze.links".');
+                return null;
+            }
+            step.list = list;
+            step.limit = clamp(Number(rawStep.limit) || 5, 1, MAX_LOOP_ITERATIONS);
+            step.steps = sanitizeBlock(rawStep.steps, defaultTarget, context, 'steps');
+            if (!step.steps.length) {
+                reject(action, 'has no valid nested steps.');
+                return null;
+            }
+            break;
         }
+        default:
+            return null;
+    }
 
-        sanitized.push(step);
+    return step;
+}
+
+function sanitizeCondition(rawCondition) {
+    if (!rawCondition || typeof rawCondition !== 'object') {
+        return null;
     }
 
-    if (!sanitized.length) {
-        return [{ action: 'REPLY', message: 'I could not build a safe action plan for this request.' }];
+    const type = sanitizeText(rawCondition.type, 32).toLowerCase();
+    const condition = { type };
+    if (type === 'element_exists') {
+        const selector = sanitizeSelector(rawCondition.selector);
+        const text = sanitizeText(rawCondition.text, 180);
+        if (!selector && !text) {
+            return null;
+        }
+        if (selector) condition.selector = selector;
+        if (text) condition.text = text;
+    } else if (type === 'text_present') {
+        condition.text = sanitizeText(rawCondition.text, 180);
+        if (!condition.text) {
+            return null;
+        }
+    } else if (type === 'url_matches') {
+        condition.pattern = sanitizeText(rawCondition.pattern || rawCondition.text, 240);
+        if (!condition.pattern) {
+            return null;
+        }
+    } else {
+        return null;
     }
 
-    return sanitized;
+    if (rawCondition.negate === true) {
+        condition.negate = true;
+    }
+    return condition;
+}
+
+function hasTemplate(value) {
+    return typeof value === 'string' && /\{\{\s*[\w.\-[\]]+\s*\}\}/.test(value);
+}
+
+// Accepts a single character or a named key; aliases such as "esc" or "return" map to their DOM key names.
+function normalizeKeyName(rawKey) {
+    if (typeof rawKey !== 'string' || !rawKey) {
+        return '';
+    }
+    if (rawKey.length === 1) {
+        return rawKey === ' ' ? 'Space' : rawKey;
+    }
+    const trimmed = rawKey.trim();
+    const lower = trimmed.toLowerCase();
+    if (KEY_ALIASES[lower]) {
+        return KEY_ALIASES[lower];
+    }
+    return Array.from(NAMED_KEYS).find(key => key.toLowerCase() === lower) || '';
+}
+
+// Drops unusable fields and reports each one through reportIssue.
+function sanitizeExtractSchema(rawSchema, reportIssue) {
+    if (!Array.isArray(rawSchema)) {
+        return [];
+    }
+
+    const schema = [];
+    const names = new Set();
+    rawSchema.slice(0, MAX_EXTRACT_FIELDS).forEach((rawField, fieldIndex) => {
+        const name = rawField && typeof rawField === 'object'
+            ? sanitizeText(rawField.name, 40).replace(/[^\w-]+/g, '_')
+            : '';
+        const type = name ? sanitizeText(rawField.type, 16).toLowerCase() || 'text' : '';
+        if (!name || names.has(name)) {
+            reportIssue(`schema field ${fieldIndex + 1} needs a unique "name".`);
+            return;
+        }
+        if (!EXTRACT_FIELD_TYPES.has(type)) {
+            reportIssue(`schema field "${name}" has unknown type "${type.slice(0, 16)}".`);
+            return;
+        }
+        names.add(name);
+        const field = { name, type };
+        const selector = sanitizeSelector(rawField.selector);
+        if (selector) {
+            field.selector = selector;
+        }
+        schema.push(field);
+    });
+    return schema;
 }
 
 function sanitizeFormField(field) {
@@ -652,13 +2434,28 @@ function sanitizeUrl(input) {
 }
 
 function renderPlanPreview(plan) {
-    const lines = plan.slice(0, 6).map((step, index) => `${index + 1}. ${formatStepSummary(step)}`);
+    const lines = [];
+    plan.slice(0, 6).forEach((step, index) => {
+        lines.push(`${index + 1}. ${formatStepSummary(step)}`);
+        appendNestedPreviewLines(lines, step, `${index + 1}`, '   ');
+    });
     if (plan.length > 6) {
         lines.push(`... +${plan.length - 6} more step(s)`);
     }
     window.appendMessage(`Plan:\n${lines.join('\n')}`, 'system-msg');
 }
 
+function appendNestedPreviewLines(lines, step, label, indent) {
+    const blocks = [['', step.steps], ['.else', step.elseSteps]];
+    for (const [suffix, block] of blocks) {
+        (Array.isArray(block) ? block : []).forEach((nested, index) => {
+            const nestedLabel = `${label}${suffix}.${index + 1}`;
+            lines.push(`${indent}${nestedLabel} ${formatStepSummary(nested)}`);
+            appendNestedPreviewLines(lines, nested, nestedLabel, `${indent}   `);
+        });
+    }
+}
+
 function renderTodosPreview(todos) {
     const lines = todos
         .slice(0, 6)
@@ -763,6 +2560,15 @@ function classifyStepRisk(step, prompt, currentHost) {
         return { level: 'medium', reasons: ['direct page interaction'] };
     }
 
+    // Enter in a form field submits it, so it is rated like FILL_FORM with submit.
+    if (action === 'PRESS_KEY' && step.key === 'Enter') {
+        reasons.push('submits a form');
+        if (containsAuthIntent(prompt)) {
+            reasons.push('authentication flow');
+        }
+        return { level: 'high', reasons, timeoutMs: 25000 };
+    }
+
     if (action === 'TYPE') {
         if (containsAuthIntent(prompt)) {
             reasons.push('typing during authentication flow');
@@ -782,10 +2588,13 @@ function containsSensitiveField(step) {
     if (!Array.isArray(step.fields)) {
         return false;
     }
-    return step.fields.some(field => {
-        const descriptor = `${field.name || ''} ${field.label || ''} ${field.type || ''} ${field.placeholder || ''}`.toLowerCase();
-        return /password|passcode|token|otp|secret|api key|apikey/i.test(descriptor);
-    });
+    return step.fields.some(field => looksSensitiveDescriptor(
+        `${field.name || ''} ${field.label || ''} ${field.type || ''} ${field.placeholder || ''}`
+    ));
+}
+
+function looksSensitiveDescriptor(descriptor) {
+    return /password|passcode|token|otp|secret|api key|apikey/i.test(String(descriptor || ''));
 }
 
 async function requestApprovalIfNeeded(step, riskInfo, shouldStop) {
@@ -873,17 +2682,52 @@ function formatStepSummary(step) {
             return `${safeStep.action} ${safeStep.selector || `text:${safeStep.text}`}`;
         case 'TYPE':
             return `${safeStep.action} ${safeStep.selector}`;
+        case 'SCROLL':
+            return safeStep.mode === 'text'
+                ? `${safeStep.action} to "${safeStep.text}"`
+                : `${safeStep.action} ${safeStep.mode === 'element' ? safeStep.selector : 'page'} ${safeStep.direction}`;
+        case 'HOVER':
+            return `${safeStep.action} ${safeStep.selector || `text:${safeStep.text}`}`;
+        case 'PRESS_KEY':
+            return `${safeStep.action} ${[...(safeStep.modifiers || []), safeStep.key].join('+')}${safeStep.selector ? ` on ${safeStep.selector}` : ''}`;
+        case 'SELECT_OPTION':
+            return `${safeStep.action} "${safeStep.option}"${safeStep.selector || safeStep.label ? ` in ${safeStep.selector || safeStep.label}` : ''}`;
         case 'FILL_FORM':
             return `${safeStep.action} (${safeStep.fields.length} field${safeStep.fields.length === 1 ? '' : 's'})${safeStep.submit ? ' + submit' : ''}`;
+        case 'EXTRACT_STRUCTURED':
+            return `${safeStep.action} (${(Array.isArray(safeStep.schema) ? safeStep.schema : []).map(field => field.name).join(', ')})`;
         case 'WAIT':
             return `${safeStep.action} ${safeStep.ms}ms`;
+        case 'WAIT_FOR':
+            return `${safeStep.action} ${safeStep.until}${safeStep.selector ? ` ${safeStep.selector}` : safeStep.text ? ` "${safeStep.text}"` : safeStep.pattern ? ` "${redactSensitiveText(safeStep.pattern)}"` : ''} (max ${safeStep.timeoutMs}ms)`;
         case 'SWITCH_TAB':
             return `${safeStep.action} #${safeStep.tabId}`;
+        case 'IF':
+            return `IF ${formatCondition(safeStep.condition)} (${countSteps(safeStep.steps)} step(s)${countSteps(safeStep.elseSteps) ? `, else ${countSteps(safeStep.elseSteps)}` : ''})`;
+        case 'REPEAT_UNTIL':
+            return `REPEAT_UNTIL ${formatCondition(safeStep.condition)} (${countSteps(safeStep.steps)} step(s), max ${safeStep.maxIterations})`;
+        case 'FOR_EACH':
+            return `FOR_EACH ${safeStep.list} (up to ${safeStep.limit}, ${countSteps(safeStep.steps)} step(s))`;
         default:
             return safeStep.action;
     }
 }
 
+// Todos are built from the raw planner output, so nested step lists may still be missing.
+function countSteps(steps) {
+    return Array.isArray(steps) ? steps.length : 0;
+}
+
+function formatCondition(condition) {
+    if (!condition) {
+        return '?';
+    }
+    const subject = condition.type === 'url_matches'
+        ? `"${redactSensitiveText(condition.pattern)}"`
+        : condition.selector || `"${redactSensitiveText(condition.text)}"`;
+    return `${condition.negate ? 'not ' : ''}${condition.type} ${subject}`;
+}
+
 function safeStepForLogging(step) {
     if (!step || typeof step !== 'object') {
         return step;
@@ -898,7 +2742,9 @@ function safeStepForLogging(step) {
         clone.url = redactSensitiveText(clone.url);
     }
     if (typeof clone.text === 'string') {
-        clone.text = redactSensitiveText(clone.text);
+        clone.text = clone.action === 'TYPE' && looksSensitiveDescriptor(clone.selector)
+            ? '[REDACTED]'
+            : redactSensitiveText(clone.text);
     }
 
     if (Array.isArray(clone.fields)) {
@@ -914,6 +2760,19 @@ function safeStepForLogging(step) {
         });
     }
 
+    const sensitivePaths = SENSITIVE_TEMPLATE_FIELDS.get(step);
+    if (sensitivePaths) {
+        sensitivePaths.forEach(path => {
+            const keys = path.split('.');
+            let node = clone;
+            keys.slice(0, -1).forEach(key => {
+                node[key] = Array.isArray(node[key]) ? [...node[key]] : { ...node[key] };
+                node = node[key];
+            });
+            node[keys[keys.length - 1]] = '[REDACTED]';
+        });
+    }
+
     return clone;
 }
 
@@ -967,6 +2826,23 @@ function renderStructuredResult(step, response) {
             });
     }
 
+    if (step.action === 'EXTRACT_STRUCTURED') {
+        response.results
+            .filter(result => result.status === 'success' && result.data && Array.isArray(result.data.records))
+            .forEach(result => {
+                const caption = `Extracted ${result.data.records.length} record(s) (${result.title || `Tab ${result.tabId}`})`;
+                const columns = step.schema.map(field => field.name);
+                const rows = result.data.records.map(record => columns.map(column => (
+                    record[column] === null ? '' : redactSensitiveText(String(record[column]))
+                )));
+                if (typeof window.appendTable === 'function') {
+                    window.appendTable(caption, columns, rows);
+                } else {
+                    window.appendMessage(`${caption}:\n${rows.map(row => row.join(' | ')).join('\n')}`, 'system-msg');
+                }
+            });
+    }
+
     if (step.action === 'SCRAPE_PAGE') {
         response.results
             .filter(result => result.status === 'success' && result.data && typeof result.data.text === 'string')
@@ -977,6 +2853,132 @@ function renderStructuredResult(step, response) {
     }
 }
 
+// Second pass over EXTRACT_STRUCTURED results: the model reads each item's text next to the DOM-pattern draft
+// and returns corrected records. Records are coerced to the schema's types either way; if the model call fails
+// the DOM-pattern records are kept.
+async function refineExtractedRecords(step, response, execution) {
+    const results = Array.isArray(response.results)
+        ? response.results.filter(result => result.status === 'success' && result.data && Array.isArray(result.data.records))
+        : [];
+    const { apiKey, provider, model, baseUrl } = execution.credentials || {};
+
+    for (const result of results) {
+        const candidates = Array.isArray(result.data.candidates) ? result.data.candidates : [];
+        if (provider && candidates.length) {
+            try {
+                const rawResponse = await window.generateChatResponse(
+                    buildExtractionPrompt(step.schema, candidates, result.data.records),
+                    apiKey,
+                    provider,
+                    model,
+                    baseUrl,
+                    {
+                        signal: execution.signal,
+                        providerConfig: execution.runContext.providerConfig,
+                        generation: { ...(execution.runContext.generation || {}), ...PLANNER_GENERATION_PRESET },
+                        responseSchema: { name: 'extracted_records', schema: buildExtractionResponseSchema(step.schema) },
+                        onUsage: usage => addUsageToTally(execution.runUsage, usage)
+                    }
+                );
+                // The page-pattern records line up with the candidates, one per item. Extra model rows are dropped
+                // and a field the model left empty keeps the page-pattern value.
+                const refined = parseExtractionResponse(rawResponse);
+                if (refined.length) {
+                    result.data.records = result.data.records.map((draft, index) => Object.fromEntries(step.schema.map(field => {
+                        const record = refined[index];
+                        const value = record && typeof record === 'object' ? record[field.name] : null;
+                        return [field.name, value === undefined || value === null || value === '' ? draft[field.name] : value];
+                    })));
+                }
+            } catch (error) {
+                if (isAbortError(error) || execution.shouldStop()) {
+                    throw error;
+                }
+                window.appendActionLog(`[${execution.runId}] Record refinement failed; keeping page-pattern records: ${redactSensitiveText(error.message)}`);
+            }
+        }
+
+        result.data.records = coerceExtractedRecords(result.data.records, step.schema, step.maxRecords);
+        delete result.data.candidates;
+    }
+}
+
+function buildExtractionPrompt(schema, candidates, draftRecords) {
+    const fieldLines = schema.map(field => `- ${field.name} (${field.type})`).join('\n');
+    const itemLines = candidates.map((candidate, index) => {
+        const extras = [
+            candidate.links && candidate.links.length ? `links: ${candidate.links.join(' ')}` : '',
+            candidate.images && candidate.images.length ? `images: ${candidate.images.join(' ')}` : ''
+        ].filter(Boolean).join('; ');
+        return `${index + 1}. ${candidate.text}${extras ? ` [${extras}]` : ''}`;
+    }).join('\n');
+
+    return `Extract one record per item below. Fields:
+${fieldLines}
+
+Return ONLY JSON: {"records": [ { ${schema.map(field => `"${field.name}": ...`).join(', ')} } ]}
+Keep item order. Use null when an item has no value for a field. Numbers must be plain numbers without currency symbols or separators; urls and images must be absolute URLs taken from the item.
+
+Items:
+${itemLines}
+
+Draft records from the page structure (may be incomplete or wrong):
+${JSON.stringify(draftRecords)}`;
+}
+
+function buildExtractionResponseSchema(schema) {
+    const jsonTypes = { number: 'number', boolean: 'boolean' };
+    return {
+        type: 'object',
+        properties: {
+            records: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: Object.fromEntries(schema.map(field => [field.name, { type: jsonTypes[field.type] || 'string' }]))
+                }
+            }
+        },
+        required: ['records']
+    };
+}
+
+function parseExtractionResponse(rawResponse) {
+    const text = String(rawResponse || '').replace(/```json/gi, '').replace(/```/g, '');
+    const firstBrace = text.indexOf('{');
+    const lastBrace = text.lastIndexOf('}');
+    if (firstBrace === -1 || lastBrace <= firstBrace) {
+        throw new Error('Model did not return a JSON object.');
+    }
+    const parsed = JSON.parse(text.slice(firstBrace, lastBrace + 1));
+    return Array.isArray(parsed.records) ? parsed.records : [];
+}
+
+function coerceExtractedRecords(records, schema, maxRecords) {
+    return (Array.isArray(records) ? records : [])
+        .filter(record => record && typeof record === 'object')
+        .map(record => Object.fromEntries(schema.map(field => [field.name, coerceExtractedValue(record[field.name], field.type)])))
+        .filter(record => Object.values(record).some(value => value !== null))
+        .slice(0, maxRecords);
+}
+
+function coerceExtractedValue(value, type) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    switch (type) {
+        case 'number':
+            return typeof value === 'number' ? (Number.isFinite(value) ? value : null) : parseNumberText(value);
+        case 'boolean':
+            return value === true || /^(true|yes|1)$/i.test(String(value));
+        case 'url':
+        case 'image':
+            return /^https?:\/\//i.test(String(value)) ? String(value).slice(0, 2048) : null;
+        default:
+            return sanitizeText(String(value), 500) || null;
+    }
+}
+
 function formatAnalyzeMessage(result) {
     const data = result.data;
     const lines = [
@@ -1061,14 +3063,6 @@ async function cancellableDelay(ms, shouldStop, signal) {
     }
 }
 
-function safeJson(value, maxLength) {
-    try {
-        return JSON.stringify(value).slice(0, maxLength);
-    } catch (_error) {
-        return '[]';
-    }
-}
-
 function clamp(value, min, max) {
     return Math.min(max, Math.max(min, value));
 }
@@ -1232,7 +3226,7 @@ function resolveNavigationUrl(prompt) {
 
 function extractAuthDetails(prompt) {
     const email = extractPromptValue(prompt, /(email|e-mail)\s*(?:is|=|:)?\s*([^\s,;]+)/i);
-    const passwordRaw = extractPromptValue(prompt, /(password|pass)\s*(?:is|=|:)?\s*([^\s,;]+)/i);
+    const passwordRaw = extractPromptValue(prompt, PROMPT_PASSWORD_PATTERN);
     const username = extractPromptValue(prompt, /(username|user)\s*(?:is|=|:)?\s*([^\s,;]+)/i);
 
     const wantsRandomPassword = /\b(password|pass)\s+random\b/i.test(prompt) || /\brandom password\b/i.test(prompt);
@@ -1255,6 +3249,23 @@ function extractAuthDetails(prompt) {
     };
 }
 
+// Passwords written into an auth prompt, as extractAuthDetails reads them. Anything stored (replay fixtures, macros)
+// must leave these out; they are only used in memory for the current run.
+function extractPromptSecrets(prompt) {
+    if (!containsAuthIntent(prompt)) {
+        return [];
+    }
+    const password = extractPromptValue(prompt, PROMPT_PASSWORD_PATTERN);
+    return password && !/^random$/i.test(password) ? [password] : [];
+}
+
+function redactPromptForStorage(prompt) {
+    return extractPromptSecrets(prompt).reduce(
+        (text, secret) => text.split(secret).join('[REDACTED]'),
+        redactSensitiveText(String(prompt || ''))
+    );
+}
+
 function extractPromptValue(prompt, regex) {
     const match = prompt.match(regex);
     if (!match || !match[2]) {
@@ -1,89 +1,620 @@
+const AZURE_DEFAULT_API_VERSION = '2024-06-01';
+const BEDROCK_DEFAULT_REGION = 'us-east-1';
+// Anthropic and Bedrock require an output cap; these apply when the profile does not set one.
+const ANTHROPIC_DEFAULT_MAX_TOKENS = 4096;
+const BEDROCK_DEFAULT_MAX_TOKENS = 1024;
+
+const OPENAI_COMPATIBLE_PROVIDERS = ['openai', 'openai-compatible', 'lm-studio', 'openrouter', 'custom'];
+// OpenAI reasoning models reject temperature / top_p and take max_completion_tokens instead of max_tokens.
+const OPENAI_REASONING_MODEL_PATTERN = /(^|\/)(o1|o3|o4|gpt-5)($|[-.:])/i;
+const NON_CHAT_MODEL_PATTERN = /embedding|whisper|tts|dall-e|moderation|davinci|babbage|transcribe|realtime|^gpt-image|^sora/i;
+const NATIVE_TOOL_PROVIDERS = new Set(['openai', 'openrouter', 'azure', 'anthropic', 'gemini', 'replay']);
+const RESPONSE_SCHEMA_PROVIDERS = new Set(['openai', 'openrouter', 'azure', 'lm-studio', 'gemini', 'ollama', 'replay']);
+const RETRYABLE_STATUS_CODES = new Set([429, 500, 502, 503, 504]);
+// Known context windows, most specific pattern first. Ollama serves a 4k window unless num_ctx is raised.
+const MODEL_CONTEXT_WINDOWS = [
+    [/gpt-4\.1/i, 1000000],
+    [/gpt-4o|gpt-4-turbo|\bo[134](-|$)/i, 128000],
+    [/gpt-3\.5/i, 16000],
+    [/gpt-4/i, 8192],
+    [/claude/i, 200000],
+    [/gemini-1\.5-pro/i, 2000000],
+    [/gemini/i, 1000000],
+    [/llama-?3\.[123]|llama3-[123]/i, 128000],
+    [/llama/i, 8192],
+    [/mistral|mixtral|qwen/i, 32000]
+];
+const PROVIDER_CONTEXT_WINDOWS = {
+    openai: 128000,
+    openrouter: 128000,
+    azure: 128000,
+    anthropic: 200000,
+    gemini: 1000000,
+    ollama: 4096
+};
+const DEFAULT_CONTEXT_WINDOW = 8192;
+// Large windows are capped so long chats and page dumps do not silently become expensive.
+const MAX_CONTEXT_BUDGET_TOKENS = 32000;
+const DEFAULT_OUTPUT_RESERVE_TOKENS = 1024;
+// Providers bill a full-window screenshot at roughly 250 (Gemini) to 1,600 (Claude) tokens; budget for the middle.
+const IMAGE_TOKEN_ESTIMATE = 1100;
+// USD per million input/output tokens, most specific pattern first. Local providers are free.
+const MODEL_PRICING = [
+    [/gpt-4o-mini/i, 0.15, 0.6],
+    [/gpt-4o/i, 2.5, 10],
+    [/gpt-4\.1-nano/i, 0.1, 0.4],
+    [/gpt-4\.1-mini/i, 0.4, 1.6],
+    [/gpt-4\.1/i, 2, 8],
+    [/\bo[34]-mini/i, 1.1, 4.4],
+    [/gpt-3\.5/i, 0.5, 1.5],
+    [/claude-3-haiku/i, 0.25, 1.25],
+    [/claude-3-5-haiku|claude-haiku/i, 0.8, 4],
+    [/opus/i, 15, 75],
+    [/sonnet/i, 3, 15],
+    [/gemini-1\.5-flash/i, 0.075, 0.3],
+    [/gemini-1\.5-pro/i, 1.25, 5],
+    [/gemini-2\.0-flash/i, 0.1, 0.4],
+    [/gemini-2\.5-flash/i, 0.3, 2.5],
+    [/gemini-2\.5-pro/i, 1.25, 10]
+];
+const FREE_PROVIDERS = new Set(['ollama', 'lm-studio']);
+// Oldest fixtures are dropped first so recording cannot outgrow chrome.storage.local.
+const MAX_REPLAY_FIXTURES = 200;
+const DEFAULT_RETRY_POLICY = {
+    maxRetries: 3,
+    baseDelayMs: 800,
+    maxDelayMs: 15000,
+    maxRetryAfterMs: 30000
+};
+
 // Global function called by sidepanel.js and agent.js.
+// Pass options.onDelta(delta, fullText) to stream tokens as they arrive; the full text is still returned.
+// options.providerConfig carries provider-specific settings such as the Azure api-version or AWS credentials.
+// A message's content may be a string or a list of parts: { type: 'text', text } and
+// { type: 'image', mimeType, data } (base64) or { type: 'image', dataUrl }.
 window.generateChatResponse = async function (messagesText, apiKey, provider, model, baseUrl, options = {}) {
+    const completion = await window.generateChatCompletion(messagesText, apiKey, provider, model, baseUrl, options);
+    return completion.text;
+};
+
+// Same as generateChatResponse but resolves to { text, toolCalls }.
+// options.tools is a list of { name, description, parameters } JSON-schema tools and options.toolChoice is
+// 'auto' or 'required'. Requests that carry tools are never streamed.
+// options.generation is { temperature, maxTokens, topP, stop, seed }; unset fields keep the provider default.
+// options.responseSchema ({ name, schema }) constrains the reply to JSON on providers in RESPONSE_SCHEMA_PROVIDERS;
+// it is ignored when tools are sent.
+// options.retry tunes the 429/5xx retry policy and options.failover is an ordered list of
+// { provider, apiKey, model, baseUrl, providerConfig, generation } profiles tried when the primary provider fails.
+// The result carries usage ({ promptTokens, completionTokens, totalTokens, costUsd }) when the provider reports it;
+// options.onUsage receives the same object so callers can aggregate a whole run.
+// The 'replay' provider answers from recorded fixtures (see recordReplayFixture) without any network access.
+window.generateChatCompletion = async function (messagesText, apiKey, provider, model, baseUrl, options = {}) {
     const messages = normalizeMessagesInput(messagesText);
     if (!messages.length) {
         throw new Error('Prompt cannot be empty.');
     }
 
-    const signal = options.signal;
+    if (provider !== 'replay') {
+        await assertWithinDailyBudget();
+    }
+
+    const profiles = [
+        { provider, apiKey, model, baseUrl, providerConfig: options.providerConfig, generation: options.generation },
+        ...(Array.isArray(options.failover) ? options.failover.filter(profile => profile && profile.provider) : [])
+    ];
+
+    let streamedAnything = false;
+    const onDelta = typeof options.onDelta === 'function'
+        ? (delta, fullText) => {
+            streamedAnything = true;
+            options.onDelta(delta, fullText);
+        }
+        : null;
+
+    for (let index = 0; index < profiles.length; index++) {
+        const profile = profiles[index];
+        try {
+            const completion = await requestProviderCompletion(messages, profile, { ...options, onDelta });
+            if (completion.usage) {
+                completion.usage = {
+                    ...completion.usage,
+                    provider: profile.provider,
+                    model: profile.model || '',
+                    costUsd: estimateCostUsd(profile.provider, profile.model, completion.usage)
+                };
+                await recordDailyUsage(completion.usage);
+                if (typeof options.onUsage === 'function') {
+                    options.onUsage(completion.usage);
+                }
+            }
+            return completion;
+        } catch (error) {
+            const nextProfile = profiles[index + 1];
+            // Never switch providers after partial output has already been shown.
+            if (!nextProfile || error.name === 'AbortError' || streamedAnything) {
+                throw error;
+            }
+            if (typeof options.onFailover === 'function') {
+                options.onFailover({ from: profile.provider, to: nextProfile.provider, error });
+            }
+        }
+    }
+
+    throw new Error('No provider is configured.');
+};
+
+async function requestProviderCompletion(messages, profile, options) {
+    const { provider } = profile;
+    const tools = Array.isArray(options.tools) && options.tools.length && NATIVE_TOOL_PROVIDERS.has(provider)
+        ? options.tools
+        : null;
+    const responseSchema = !tools && options.responseSchema && options.responseSchema.schema && RESPONSE_SCHEMA_PROVIDERS.has(provider)
+        ? options.responseSchema
+        : null;
+
+    const requestOptions = {
+        signal: options.signal,
+        generation: normalizeGenerationParams(profile.generation || options.generation),
+        onDelta: options.onDelta && !tools ? options.onDelta : null,
+        tools,
+        toolChoice: options.toolChoice === 'required' ? 'required' : 'auto',
+        responseSchema,
+        replayScope: options.replayScope && typeof options.replayScope === 'object' ? options.replayScope : null,
+        replaySecrets: Array.isArray(options.replaySecrets) ? options.replaySecrets : [],
+        streamUsage: ['openai', 'openrouter', 'azure'].includes(provider),
+        retry: {
+            ...DEFAULT_RETRY_POLICY,
+            ...(options.retry || {}),
+            signal: options.signal,
+            onRetry: typeof options.onRetry === 'function' ? options.onRetry : null
+        }
+    };
+
+    if (provider === 'replay') {
+        return await fetchReplay(messages, requestOptions);
+    }
+
+    const completion = await dispatchProviderRequest(messages, profile, requestOptions);
+    await recordReplayFixture(messages, profile, requestOptions, completion);
+    return completion;
+}
+
+async function dispatchProviderRequest(messages, profile, requestOptions) {
+    const { provider, apiKey, model, baseUrl } = profile;
+    const providerConfig = profile.providerConfig || {};
 
     if (provider === 'gemini') {
-        return await fetchGemini(messages, apiKey, model, signal);
+        return await fetchGemini(messages, apiKey, model, requestOptions);
     }
 
     if (provider === 'anthropic') {
-        return await fetchAnthropic(messages, apiKey, model, signal);
+        return await fetchAnthropic(messages, apiKey, model, requestOptions);
+    }
+
+    if (provider === 'azure') {
+        return await fetchAzureOpenAI(messages, apiKey, model, baseUrl, providerConfig, requestOptions);
     }
 
-    if (['openai', 'openai-compatible', 'lm-studio', 'openrouter', 'custom'].includes(provider)) {
-        let actualBaseUrl = 'https://api.openai.com/v1';
-        if (provider === 'openrouter') actualBaseUrl = 'https://openrouter.ai/api/v1';
-        if (provider === 'lm-studio') actualBaseUrl = 'http://localhost:1234/v1';
-        if (provider === 'custom' || provider === 'openai-compatible') actualBaseUrl = baseUrl || actualBaseUrl;
+    if (provider === 'aws-bedrock') {
+        return await fetchBedrock(messages, apiKey, model, baseUrl, providerConfig, requestOptions);
+    }
 
-        return await fetchOpenAI(messages, apiKey, model, actualBaseUrl, signal);
+    if (provider === 'ollama') {
+        return await fetchOllama(messages, model, baseUrl, requestOptions);
+    }
+
+    if (OPENAI_COMPATIBLE_PROVIDERS.includes(provider)) {
+        return await fetchOpenAI(messages, apiKey, model, resolveOpenAIBaseUrl(provider, baseUrl), requestOptions);
     }
 
     throw new Error(`Provider ${provider} is not fully supported yet.`);
+}
+
+function resolveOpenAIBaseUrl(provider, baseUrl) {
+    let actualBaseUrl = 'https://api.openai.com/v1';
+    if (provider === 'openrouter') actualBaseUrl = 'https://openrouter.ai/api/v1';
+    if (provider === 'lm-studio') actualBaseUrl = 'http://localhost:1234/v1';
+    if (provider === 'custom' || provider === 'openai-compatible') actualBaseUrl = baseUrl || actualBaseUrl;
+    return actualBaseUrl;
+}
+
+window.supportsNativeTools = function (provider) {
+    return NATIVE_TOOL_PROVIDERS.has(provider);
+};
+
+window.supportsResponseSchema = function (provider) {
+    return RESPONSE_SCHEMA_PROVIDERS.has(provider);
 };
 
-async function fetchGemini(messages, apiKey, model, signal) {
+// Lists the models a provider offers as [{ id, name, contextWindow, vision, tools }].
+// contextWindow, vision and tools are null when the provider's listing does not say.
+window.listProviderModels = async function (provider, apiKey, baseUrl, options = {}) {
+    const retry = { ...DEFAULT_RETRY_POLICY, maxRetries: 1, signal: options.signal };
+    let models;
+
+    if (provider === 'gemini') {
+        models = await listGeminiModels(apiKey, options.signal, retry);
+    } else if (provider === 'anthropic') {
+        models = await listAnthropicModels(apiKey, options.signal, retry);
+    } else if (provider === 'ollama') {
+        models = await listOllamaModelsWithDetails(baseUrl, options.signal);
+    } else if (OPENAI_COMPATIBLE_PROVIDERS.includes(provider)) {
+        models = await listOpenAIModels(provider, apiKey, resolveOpenAIBaseUrl(provider, baseUrl), options.signal, retry);
+    } else {
+        throw new Error(`Model listing is not available for ${provider}. Enter the model name manually.`);
+    }
+
+    return models.sort((left, right) => left.id.localeCompare(right.id));
+};
+
+async function listOpenAIModels(provider, apiKey, baseUrl, signal, retry) {
+    const url = `${String(baseUrl || '').replace(/\/$/, '')}/models`;
+    const response = await fetchWithRetry(url, {
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        signal
+    }, retry);
+
+    if (!response.ok) {
+        throw await createApiError(response);
+    }
+
+    const data = await response.json();
+    const entries = Array.isArray(data?.data) ? data.data : [];
+    return entries
+        .filter(entry => entry?.id)
+        // OpenAI's list also carries embedding, speech and image models that cannot chat.
+        .filter(entry => provider !== 'openai' || !NON_CHAT_MODEL_PATTERN.test(entry.id))
+        .map(entry => {
+            // OpenRouter describes each model's context length, input modalities and supported parameters.
+            const modalities = entry.architecture?.input_modalities;
+            const parameters = entry.supported_parameters;
+            return {
+                id: entry.id,
+                name: entry.name || entry.id,
+                contextWindow: Number(entry.context_length) || null,
+                vision: Array.isArray(modalities) ? modalities.includes('image') : null,
+                tools: Array.isArray(parameters) ? parameters.includes('tools') : null
+            };
+        });
+}
+
+async function listGeminiModels(apiKey, signal, retry) {
+    const url = `https://generativelanguage.googleapis.com/v1beta/models?pageSize=1000&key=${encodeURIComponent(apiKey || '')}`;
+    const response = await fetchWithRetry(url, { signal }, retry);
+
+    if (!response.ok) {
+        throw await createApiError(response);
+    }
+
+    const data = await response.json();
+    const entries = Array.isArray(data?.models) ? data.models : [];
+    return entries
+        .filter(entry => (entry.supportedGenerationMethods || []).includes('generateContent'))
+        .map(entry => ({
+            id: String(entry.name || '').replace(/^models\//, ''),
+            name: entry.displayName || entry.name,
+            contextWindow: Number(entry.inputTokenLimit) || null,
+            vision: null,
+            tools: null
+        }))
+        .filter(entry => entry.id);
+}
+
+async function listAnthropicModels(apiKey, signal, retry) {
+    const response = await fetchWithRetry('https://api.anthropic.com/v1/models?limit=1000', {
+        headers: {
+            'x-api-key': apiKey,
+            'anthropic-version': '2023-06-01'
+        },
+        signal
+    }, retry);
+
+    if (!response.ok) {
+        throw await createApiError(response);
+    }
+
+    const data = await response.json();
+    const entries = Array.isArray(data?.data) ? data.data : [];
+    return entries
+        .filter(entry => entry?.id)
+        .map(entry => ({
+            id: entry.id,
+            name: entry.display_name || entry.id,
+            contextWindow: Number(entry.max_input_tokens) || null,
+            vision: null,
+            tools: null
+        }));
+}
+
+// /api/tags has no capabilities, so each model is looked up with /api/show; older servers omit them.
+async function listOllamaModelsWithDetails(baseUrl, signal) {
+    const { root } = resolveOllamaBaseUrl(baseUrl);
+    const models = await window.listOllamaModels(baseUrl, { signal });
+
+    return await Promise.all(models.map(async (entry) => {
+        const details = { id: entry.id, name: entry.name, contextWindow: null, vision: null, tools: null };
+        try {
+            const response = await fetch(`${root}/api/show`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                signal,
+                body: JSON.stringify({ model: entry.id })
+            });
+            if (!response.ok) {
+                return details;
+            }
+
+            const data = await response.json();
+            const contextKey = Object.keys(data?.model_info || {}).find(key => key.endsWith('.context_length'));
+            if (contextKey) {
+                details.contextWindow = Number(data.model_info[contextKey]) || null;
+            }
+            if (Array.isArray(data?.capabilities)) {
+                details.vision = data.capabilities.includes('vision');
+                details.tools = data.capabilities.includes('tools');
+            }
+        } catch (error) {
+            if (error && error.name === 'AbortError') {
+                throw error;
+            }
+        }
+        return details;
+    }));
+}
+
+async function fetchGemini(messages, apiKey, model, { signal, onDelta, tools, toolChoice, retry, generation = {}, responseSchema }) {
     const resolvedModel = (model || 'gemini-1.5-flash').trim();
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(resolvedModel)}:generateContent?key=${encodeURIComponent(apiKey || '')}`;
-    const contents = toGeminiContents(messages);
+    const method = onDelta ? 'streamGenerateContent?alt=sse&' : 'generateContent?';
+    const url = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(resolvedModel)}:${method}key=${encodeURIComponent(apiKey || '')}`;
+    const { systemInstruction, contents } = toGeminiPayload(messages);
 
-    const response = await fetch(url, {
+    const response = await fetchWithRetry(url, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         signal,
         body: JSON.stringify({
-            contents
+            ...(systemInstruction ? { systemInstruction } : {}),
+            contents,
+            ...(hasGenerationParams(generation) || responseSchema ? {
+                generationConfig: pickDefined({
+                    temperature: generation.temperature,
+                    maxOutputTokens: generation.maxTokens,
+                    topP: generation.topP,
+                    stopSequences: generation.stop,
+                    seed: generation.seed,
+                    responseMimeType: responseSchema ? 'application/json' : undefined,
+                    responseSchema: responseSchema ? toGeminiSchema(responseSchema.schema) : undefined
+                })
+            } : {}),
+            ...(tools ? {
+                tools: [{ functionDeclarations: tools.map(tool => ({ name: tool.name, description: tool.description, parameters: tool.parameters })) }],
+                toolConfig: { functionCallingConfig: { mode: toolChoice === 'required' ? 'ANY' : 'AUTO' } }
+            } : {})
         })
-    });
+    }, retry);
 
     if (!response.ok) {
-        throw new Error(await readApiError(response));
+        throw await createApiError(response);
+    }
+
+    if (onDelta) {
+        let stopPayload = null;
+        const { text: content, usage } = await collectStreamedText(response, onDelta, (_event, payload) => {
+            if (payload?.promptFeedback?.blockReason || payload?.candidates?.[0]?.finishReason) {
+                stopPayload = payload;
+            }
+            return readGeminiText(payload);
+        }, (_event, payload) => readGeminiUsage(payload));
+        assertGeminiCompleted(stopPayload, Boolean(content));
+        if (!content) {
+            throw new Error('Invalid response format from Gemini.');
+        }
+        return { text: content, toolCalls: [], usage };
     }
 
     const data = await response.json();
-    const content = data?.candidates?.[0]?.content?.parts?.[0]?.text;
-    if (!content) {
+    const parts = data?.candidates?.[0]?.content?.parts || [];
+    const content = readGeminiText(data);
+    const toolCalls = parts
+        .filter(part => part?.functionCall?.name)
+        .map(part => ({ name: part.functionCall.name, arguments: part.functionCall.args || {} }));
+    assertGeminiCompleted(data, Boolean(content || toolCalls.length));
+    if (!content && !toolCalls.length) {
         throw new Error('Invalid response format from Gemini.');
     }
-    return content;
+    const usage = readGeminiUsage(data);
+    return { text: content, toolCalls, usage: normalizeUsage(usage?.promptTokens, usage?.completionTokens) };
+}
+
+// Gemini takes an OpenAPI-style subset of JSON schema, so unsupported keywords are dropped.
+function toGeminiSchema(schema) {
+    if (!schema || typeof schema !== 'object') {
+        return schema;
+    }
+
+    const converted = {};
+    if (schema.type) converted.type = String(schema.type).toUpperCase();
+    if (schema.description) converted.description = schema.description;
+    if (Array.isArray(schema.enum)) converted.enum = schema.enum.map(String);
+    if (Array.isArray(schema.required) && schema.required.length) converted.required = schema.required;
+    if (schema.items) converted.items = toGeminiSchema(schema.items);
+    if (schema.properties) {
+        converted.properties = Object.fromEntries(Object.entries(schema.properties)
+            .map(([key, value]) => [key, toGeminiSchema(value)]));
+    }
+    return converted;
 }
 
-async function fetchOpenAI(messages, apiKey, model, baseUrl, signal) {
+// Joins every text part of the first candidate; thinking models mark their reasoning parts with thought=true.
+function readGeminiText(payload) {
+    const parts = payload?.candidates?.[0]?.content?.parts || [];
+    return parts
+        .filter(part => typeof part?.text === 'string' && !part.thought)
+        .map(part => part.text)
+        .join('');
+}
+
+// Safety, recitation and blocklist stops are errors even with partial text; a token-limit stop only when nothing came back.
+function assertGeminiCompleted(payload, hasOutput) {
+    const blockReason = payload?.promptFeedback?.blockReason;
+    if (blockReason) {
+        throw createGeminiStopError(blockReason, `Gemini blocked the prompt (${blockReason}). Rephrase the request or remove the content that triggered the filter.`);
+    }
+
+    const finishReason = payload?.candidates?.[0]?.finishReason;
+    if (!finishReason || finishReason === 'STOP') {
+        return;
+    }
+
+    if (['SAFETY', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'IMAGE_SAFETY'].includes(finishReason)) {
+        const categories = (payload.candidates[0].safetyRatings || [])
+            .filter(rating => rating.blocked || rating.probability === 'HIGH')
+            .map(rating => String(rating.category || '').replace(/^HARM_CATEGORY_/, '').toLowerCase());
+        throw createGeminiStopError(finishReason, `Gemini stopped the response for safety reasons (${finishReason}${categories.length ? `: ${categories.join(', ')}` : ''}). Rephrase the request.`);
+    }
+    if (finishReason === 'RECITATION') {
+        throw createGeminiStopError(finishReason, 'Gemini stopped because the answer would recite existing material too closely (RECITATION). Ask for a summary or a differently worded answer.');
+    }
+    if (hasOutput) {
+        return;
+    }
+    if (finishReason === 'MAX_TOKENS') {
+        throw createGeminiStopError(finishReason, 'Gemini hit the max output token limit before producing an answer. Raise "Max output tokens" for this profile.');
+    }
+    if (finishReason === 'MALFORMED_FUNCTION_CALL') {
+        throw createGeminiStopError(finishReason, 'Gemini produced a malformed function call. Try again or switch the planner to a different model.');
+    }
+    throw createGeminiStopError(finishReason, `Gemini ended the response without output (finish reason ${finishReason}).`);
+}
+
+function createGeminiStopError(reason, message) {
+    const error = new Error(message);
+    error.finishReason = reason;
+    return error;
+}
+
+function readGeminiUsage(payload) {
+    const metadata = payload?.usageMetadata;
+    if (!metadata) {
+        return null;
+    }
+    return {
+        promptTokens: metadata.promptTokenCount,
+        completionTokens: metadata.candidatesTokenCount
+    };
+}
+
+function toOpenAIGenerationParams(generation, modelName) {
+    if (OPENAI_REASONING_MODEL_PATTERN.test(String(modelName || ''))) {
+        return pickDefined({
+            max_completion_tokens: generation.maxTokens,
+            stop: generation.stop,
+            seed: generation.seed
+        });
+    }
+    return pickDefined({
+        temperature: generation.temperature,
+        max_tokens: generation.maxTokens,
+        top_p: generation.topP,
+        stop: generation.stop,
+        seed: generation.seed
+    });
+}
+
+async function fetchOpenAI(messages, apiKey, model, baseUrl, requestOptions) {
     const url = `${String(baseUrl || '').replace(/\/$/, '')}/chat/completions`;
-    const response = await fetch(url, {
+    return await requestOpenAIChat(url, apiKey ? { Authorization: `Bearer ${apiKey}` } : {}, {
+        model: model || 'gpt-4o-mini',
+        messages: toOpenAIMessages(messages)
+    }, requestOptions, 'OpenAI-compatible API');
+}
+
+// Azure routes by deployment name instead of model and authenticates with the api-key header.
+async function fetchAzureOpenAI(messages, apiKey, deployment, endpoint, providerConfig, requestOptions) {
+    const resolvedDeployment = String(deployment || '').trim();
+    if (!resolvedDeployment) {
+        throw new Error('Azure OpenAI requires a deployment name.');
+    }
+
+    let origin;
+    try {
+        origin = new URL(String(endpoint || '').trim()).origin;
+    } catch (_error) {
+        throw new Error('Azure OpenAI requires a resource endpoint like https://<resource>.openai.azure.com.');
+    }
+
+    const apiVersion = String(providerConfig.apiVersion || '').trim() || AZURE_DEFAULT_API_VERSION;
+    const url = `${origin}/openai/deployments/${encodeURIComponent(resolvedDeployment)}/chat/completions?api-version=${encodeURIComponent(apiVersion)}`;
+
+    return await requestOpenAIChat(url, { 'api-key': apiKey || '' }, { messages: toOpenAIMessages(messages) }, requestOptions, 'Azure OpenAI', resolvedDeployment);
+}
+
+// modelName picks the generation parameters; Azure passes its deployment name, which usually follows the model.
+async function requestOpenAIChat(url, authHeaders, body, { signal, onDelta, tools, toolChoice, retry, streamUsage, generation = {}, responseSchema }, providerLabel, modelName = body.model) {
+    const response = await fetchWithRetry(url, {
         method: 'POST',
         headers: {
             'Content-Type': 'application/json',
-            ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+            ...authHeaders
         },
         signal,
         body: JSON.stringify({
-            model: model || 'gpt-4o-mini',
-            messages
+            ...body,
+            ...toOpenAIGenerationParams(generation, modelName),
+            ...(tools ? {
+                tools: tools.map(tool => ({
+                    type: 'function',
+                    function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+                })),
+                tool_choice: toolChoice
+            } : {}),
+            ...(responseSchema ? {
+                response_format: {
+                    type: 'json_schema',
+                    json_schema: { name: responseSchema.name || 'response', schema: responseSchema.schema }
+                }
+            } : {}),
+            ...(onDelta ? { stream: true } : {}),
+            ...(onDelta && streamUsage ? { stream_options: { include_usage: true } } : {})
         })
-    });
+    }, retry);
 
     if (!response.ok) {
-        throw new Error(await readApiError(response));
+        throw await createApiError(response);
+    }
+
+    if (onDelta) {
+        const { text: content, usage } = await collectStreamedText(response, onDelta, (_event, payload) => {
+            return payload?.choices?.[0]?.delta?.content || '';
+        }, (_event, payload) => (payload?.usage
+            ? { promptTokens: payload.usage.prompt_tokens, completionTokens: payload.usage.completion_tokens }
+            : null));
+        if (!content) {
+            throw new Error(`Invalid response format from ${providerLabel}.`);
+        }
+        return { text: content, toolCalls: [], usage };
     }
 
     const data = await response.json();
-    const content = data?.choices?.[0]?.message?.content;
-    if (!content) {
-        throw new Error('Invalid response format from OpenAI-compatible API.');
+    const message = data?.choices?.[0]?.message;
+    const content = typeof message?.content === 'string' ? message.content : '';
+    const toolCalls = (Array.isArray(message?.tool_calls) ? message.tool_calls : [])
+        .filter(call => call?.function?.name)
+        .map(call => ({ name: call.function.name, arguments: parseToolArguments(call.function.arguments) }));
+    if (!content && !toolCalls.length) {
+        throw new Error(`Invalid response format from ${providerLabel}.`);
     }
-    return content;
+    return {
+        text: content,
+        toolCalls,
+        usage: normalizeUsage(data?.usage?.prompt_tokens, data?.usage?.completion_tokens)
+    };
 }
 
-async function fetchAnthropic(messages, apiKey, model, signal) {
+async function fetchAnthropic(messages, apiKey, model, { signal, onDelta, tools, toolChoice, retry, generation = {} }) {
     const { system, chatMessages } = toAnthropicPayload(messages);
 
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
+    const response = await fetchWithRetry('https://api.anthropic.com/v1/messages', {
         method: 'POST',
         headers: {
             'Content-Type': 'application/json',
@@ -93,22 +624,931 @@ async function fetchAnthropic(messages, apiKey, model, signal) {
         signal,
         body: JSON.stringify({
             model: model || 'claude-3-haiku-20240307',
-            max_tokens: 1024,
+            max_tokens: generation.maxTokens || ANTHROPIC_DEFAULT_MAX_TOKENS,
+            // Current Claude models reject temperature and top_p together; temperature wins when both are set.
+            ...pickDefined({
+                temperature: generation.temperature,
+                top_p: generation.temperature === undefined ? generation.topP : undefined,
+                stop_sequences: generation.stop
+            }),
             ...(system ? { system } : {}),
-            messages: chatMessages
+            messages: chatMessages,
+            ...(tools ? {
+                tools: tools.map(tool => ({ name: tool.name, description: tool.description, input_schema: tool.parameters })),
+                tool_choice: { type: toolChoice === 'required' ? 'any' : 'auto' }
+            } : {}),
+            ...(onDelta ? { stream: true } : {})
         })
+    }, retry);
+
+    if (!response.ok) {
+        throw await createApiError(response);
+    }
+
+    if (onDelta) {
+        const { text: content, usage } = await collectStreamedText(response, onDelta, (event, payload) => {
+            if (event === 'error' || payload?.type === 'error') {
+                throw new Error(payload?.error?.message || 'Anthropic stream failed.');
+            }
+            return payload?.type === 'content_block_delta' ? payload?.delta?.text || '' : '';
+        }, (_event, payload) => {
+            if (payload?.type === 'message_start' && payload.message?.usage) {
+                return { promptTokens: payload.message.usage.input_tokens };
+            }
+            if (payload?.type === 'message_delta' && payload.usage) {
+                return { completionTokens: payload.usage.output_tokens };
+            }
+            return null;
+        });
+        if (!content) {
+            throw new Error('Invalid response format from Anthropic.');
+        }
+        return { text: content, toolCalls: [], usage };
+    }
+
+    const data = await response.json();
+    const blocks = Array.isArray(data?.content) ? data.content : [];
+    const content = blocks
+        .filter(block => block?.type === 'text')
+        .map(block => block.text || '')
+        .join('');
+    const toolCalls = blocks
+        .filter(block => block?.type === 'tool_use' && block.name)
+        .map(block => ({ name: block.name, arguments: block.input || {} }));
+    if (!content && !toolCalls.length) {
+        throw new Error('Invalid response format from Anthropic.');
+    }
+    return {
+        text: content,
+        toolCalls,
+        usage: normalizeUsage(data?.usage?.input_tokens, data?.usage?.output_tokens)
+    };
+}
+
+// Bedrock is called through the Converse API, which normalizes Anthropic, Llama and other model families.
+// ConverseStream uses AWS binary event framing, so streamed callers receive the full reply as a single delta.
+async function fetchBedrock(messages, accessKeyId, modelId, endpointOverride, providerConfig, { signal, onDelta, retry, generation = {} }) {
+    const resolvedModel = String(modelId || '').trim();
+    if (!resolvedModel) {
+        throw new Error('AWS Bedrock requires a model ID, e.g. anthropic.claude-3-haiku-20240307-v1:0.');
+    }
+    if (!accessKeyId || !providerConfig.secretAccessKey) {
+        throw new Error('AWS Bedrock requires an access key ID and secret access key.');
+    }
+
+    const region = String(providerConfig.region || '').trim() || BEDROCK_DEFAULT_REGION;
+    const endpoint = String(endpointOverride || '').trim().replace(/\/+$/, '')
+        || `https://bedrock-runtime.${region}.amazonaws.com`;
+    const url = `${endpoint}/model/${encodeURIComponent(resolvedModel)}/converse`;
+    const body = JSON.stringify(toBedrockConversePayload(messages, resolvedModel, generation));
+
+    const headers = await signAwsRequest({
+        method: 'POST',
+        url,
+        headers: { 'content-type': 'application/json' },
+        body,
+        region,
+        service: 'bedrock',
+        credentials: {
+            accessKeyId,
+            secretAccessKey: providerConfig.secretAccessKey,
+            sessionToken: providerConfig.sessionToken
+        }
     });
 
+    const response = await fetchWithRetry(url, {
+        method: 'POST',
+        headers,
+        signal,
+        body
+    }, retry);
+
     if (!response.ok) {
-        throw new Error(await readApiError(response));
+        throw await createApiError(response);
     }
 
     const data = await response.json();
-    const content = data?.content?.[0]?.text;
+    const content = (data?.output?.message?.content || [])
+        .map(block => (typeof block?.text === 'string' ? block.text : ''))
+        .join('');
     if (!content) {
-        throw new Error('Invalid response format from Anthropic.');
+        throw new Error('Invalid response format from AWS Bedrock.');
+    }
+
+    if (onDelta) {
+        onDelta(content, content);
+    }
+    return {
+        text: content,
+        toolCalls: [],
+        usage: normalizeUsage(data?.usage?.inputTokens, data?.usage?.outputTokens)
+    };
+}
+
+function toBedrockConversePayload(messages, modelId, generation = {}) {
+    const systemMessages = [];
+    const chatMessages = [];
+
+    messages.forEach(message => {
+        if (message.role === 'system') {
+            systemMessages.push(getMessageText(message));
+            return;
+        }
+
+        const role = message.role === 'assistant' ? 'assistant' : 'user';
+        const blocks = getMessageParts(message).map(toBedrockContentBlock);
+        const previous = chatMessages[chatMessages.length - 1];
+        if (previous && previous.role === role) {
+            previous.content.push(...blocks);
+            return;
+        }
+        chatMessages.push({ role, content: blocks });
+    });
+
+    if (!chatMessages.length || chatMessages[0].role !== 'user') {
+        chatMessages.unshift({ role: 'user', content: [{ text: '(start)' }] });
+    }
+
+    const systemText = systemMessages.join('\n\n').trim();
+    // Only some Bedrock model families accept a system block; fold it into the first user turn for the rest.
+    const supportsSystem = /(^|[./])(anthropic|meta)\./i.test(modelId) || /amazon\.nova/i.test(modelId);
+    if (systemText && !supportsSystem) {
+        chatMessages[0].content.unshift({ text: systemText });
+    }
+
+    return {
+        messages: chatMessages,
+        ...(systemText && supportsSystem ? { system: [{ text: systemText }] } : {}),
+        inferenceConfig: {
+            maxTokens: generation.maxTokens || BEDROCK_DEFAULT_MAX_TOKENS,
+            ...pickDefined({
+                temperature: generation.temperature,
+                topP: generation.topP,
+                stopSequences: generation.stop
+            })
+        }
+    };
+}
+
+function toBedrockContentBlock(part) {
+    if (part.type !== 'image') {
+        return { text: part.text };
+    }
+    const format = part.mimeType.split('/')[1];
+    return { image: { format: format === 'jpg' ? 'jpeg' : format, source: { bytes: part.data } } };
+}
+
+// Ollama speaks its native /api/chat protocol; a base URL ending in /v1 opts into its OpenAI-compatible endpoint instead.
+async function fetchOllama(messages, model, baseUrl, { signal, onDelta, retry, generation = {}, responseSchema }) {
+    const { root, openAICompatible } = resolveOllamaBaseUrl(baseUrl);
+    const resolvedModel = (model || 'llama3').trim();
+
+    if (openAICompatible) {
+        return await fetchOpenAI(messages, '', resolvedModel, `${root}/v1`, { signal, onDelta, retry, generation, responseSchema });
+    }
+
+    const response = await fetchOllamaEndpoint(`${root}/api/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        signal,
+        body: JSON.stringify({
+            model: resolvedModel,
+            messages: messages.map(message => {
+                const images = getMessageParts(message).filter(part => part.type === 'image');
+                return {
+                    role: message.role,
+                    content: getMessageText(message),
+                    ...(images.length ? { images: images.map(image => image.data) } : {})
+                };
+            }),
+            ...(hasGenerationParams(generation) ? {
+                options: pickDefined({
+                    temperature: generation.temperature,
+                    num_predict: generation.maxTokens,
+                    top_p: generation.topP,
+                    stop: generation.stop,
+                    seed: generation.seed
+                })
+            } : {}),
+            ...(responseSchema ? { format: responseSchema.schema } : {}),
+            stream: Boolean(onDelta)
+        })
+    }, root, retry);
+
+    if (!response.ok) {
+        throw await createApiError(response, await readOllamaError(response, resolvedModel));
+    }
+
+    if (onDelta) {
+        let fullText = '';
+        let usage = null;
+        await readJsonLines(response, (payload) => {
+            if (payload?.error) {
+                throw new Error(`Ollama error: ${payload.error}`);
+            }
+            if (payload?.done) {
+                usage = normalizeUsage(payload.prompt_eval_count, payload.eval_count);
+            }
+            const delta = payload?.message?.content || '';
+            if (delta) {
+                fullText += delta;
+                onDelta(delta, fullText);
+            }
+        });
+        if (!fullText) {
+            throw new Error('Invalid response format from Ollama.');
+        }
+        return { text: fullText, toolCalls: [], usage };
+    }
+
+    const data = await response.json();
+    const content = data?.message?.content;
+    if (!content) {
+        throw new Error(data?.error ? `Ollama error: ${data.error}` : 'Invalid response format from Ollama.');
+    }
+    return { text: content, toolCalls: [], usage: normalizeUsage(data.prompt_eval_count, data.eval_count) };
+}
+
+// Lists the models installed on the configured Ollama server.
+window.listOllamaModels = async function (baseUrl, options = {}) {
+    const { root } = resolveOllamaBaseUrl(baseUrl);
+    const response = await fetchOllamaEndpoint(`${root}/api/tags`, { signal: options.signal }, root);
+
+    if (!response.ok) {
+        throw await createApiError(response, await readOllamaError(response));
+    }
+
+    const data = await response.json();
+    const models = Array.isArray(data?.models) ? data.models : [];
+    return models
+        .map(entry => ({
+            id: entry.model || entry.name || '',
+            name: entry.name || entry.model || '',
+            family: entry.details?.family || '',
+            parameterSize: entry.details?.parameter_size || '',
+            sizeBytes: Number(entry.size) || 0
+        }))
+        .filter(entry => entry.id);
+};
+
+function resolveOllamaBaseUrl(baseUrl) {
+    let root = String(baseUrl || '').trim().replace(/\/+$/, '') || 'http://localhost:11434';
+    let openAICompatible = false;
+
+    if (/\/v1$/i.test(root)) {
+        root = root.replace(/\/v1$/i, '');
+        openAICompatible = true;
+    } else if (/\/api$/i.test(root)) {
+        root = root.replace(/\/api$/i, '');
+    }
+
+    return { root, openAICompatible };
+}
+
+async function fetchOllamaEndpoint(url, init, root, retry) {
+    try {
+        return await fetchWithRetry(url, init, retry);
+    } catch (error) {
+        if (error && error.name === 'AbortError') {
+            throw error;
+        }
+        throw new Error(`Could not reach Ollama at ${root}. Make sure "ollama serve" is running and the base URL is correct.`);
+    }
+}
+
+async function readOllamaError(response, model = '') {
+    if (response.status === 403) {
+        return 'Ollama rejected this origin. Set OLLAMA_ORIGINS=chrome-extension://* and restart Ollama.';
+    }
+
+    if (response.status === 404 && model) {
+        const message = await readApiError(response);
+        return /not found/i.test(message)
+            ? `${message}. Run "ollama pull ${model}" to install it.`
+            : message;
+    }
+
+    return await readApiError(response);
+}
+
+async function readJsonLines(response, onLine) {
+    if (!response.body || typeof response.body.getReader !== 'function') {
+        throw new Error('Streaming is not supported by this response.');
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const processLine = (line) => {
+        const trimmed = line.trim();
+        if (!trimmed) {
+            return;
+        }
+        let payload;
+        try {
+            payload = JSON.parse(trimmed);
+        } catch (_error) {
+            return;
+        }
+        onLine(payload);
+    };
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) {
+            break;
+        }
+
+        buffer += decoder.decode(value, { stream: true });
+        let newlineIndex = buffer.indexOf('\n');
+        while (newlineIndex !== -1) {
+            processLine(buffer.slice(0, newlineIndex));
+            buffer = buffer.slice(newlineIndex + 1);
+            newlineIndex = buffer.indexOf('\n');
+        }
+    }
+
+    buffer += decoder.decode();
+    processLine(buffer);
+}
+
+// Reads a server-sent event stream, maps each JSON event to a text delta and reports it as it arrives.
+// extractUsage may return token counts found in an event; later events override earlier ones.
+async function collectStreamedText(response, onDelta, extractDelta, extractUsage = () => null) {
+    let fullText = '';
+    let usage = null;
+
+    await readEventStream(response, (event, data) => {
+        if (!data || data === '[DONE]') {
+            return;
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(data);
+        } catch (_error) {
+            return;
+        }
+
+        const eventUsage = extractUsage(event, payload);
+        if (eventUsage) {
+            usage = { ...(usage || {}), ...eventUsage };
+        }
+
+        const delta = extractDelta(event, payload);
+        if (!delta) {
+            return;
+        }
+
+        fullText += delta;
+        onDelta(delta, fullText);
+    });
+
+    return { text: fullText, usage: normalizeUsage(usage?.promptTokens, usage?.completionTokens) };
+}
+
+async function readEventStream(response, onEvent) {
+    if (!response.body || typeof response.body.getReader !== 'function') {
+        throw new Error('Streaming is not supported by this response.');
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let eventName = '';
+    let dataLines = [];
+
+    const dispatch = () => {
+        if (dataLines.length) {
+            onEvent(eventName || 'message', dataLines.join('\n'));
+        }
+        eventName = '';
+        dataLines = [];
+    };
+
+    const processLine = (line) => {
+        if (!line) {
+            dispatch();
+            return;
+        }
+        if (line.startsWith(':')) {
+            return;
+        }
+
+        const separatorIndex = line.indexOf(':');
+        const field = separatorIndex === -1 ? line : line.slice(0, separatorIndex);
+        const value = separatorIndex === -1 ? '' : line.slice(separatorIndex + 1).replace(/^ /, '');
+
+        if (field === 'event') {
+            eventName = value;
+        } else if (field === 'data') {
+            dataLines.push(value);
+        }
+    };
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) {
+            break;
+        }
+
+        buffer += decoder.decode(value, { stream: true });
+        let newlineIndex = buffer.indexOf('\n');
+        while (newlineIndex !== -1) {
+            processLine(buffer.slice(0, newlineIndex).replace(/\r$/, ''));
+            buffer = buffer.slice(newlineIndex + 1);
+            newlineIndex = buffer.indexOf('\n');
+        }
+    }
+
+    buffer += decoder.decode();
+    if (buffer) {
+        processLine(buffer.replace(/\r$/, ''));
+    }
+    dispatch();
+}
+
+// Retries 429/5xx responses, honoring Retry-After and otherwise backing off exponentially with jitter.
+async function fetchWithRetry(url, init, retry = DEFAULT_RETRY_POLICY) {
+    const policy = { ...DEFAULT_RETRY_POLICY, ...retry };
+
+    for (let attempt = 0; ; attempt++) {
+        const response = await fetch(url, init);
+        if (!RETRYABLE_STATUS_CODES.has(response.status) || attempt >= policy.maxRetries) {
+            return response;
+        }
+
+        const retryAfterMs = parseRetryAfter(response.headers?.get?.('retry-after'));
+        if (retryAfterMs !== null && retryAfterMs > policy.maxRetryAfterMs) {
+            return response;
+        }
+
+        const backoffMs = Math.min(policy.maxDelayMs, policy.baseDelayMs * (2 ** attempt));
+        const delayMs = retryAfterMs !== null
+            ? retryAfterMs
+            : Math.round(backoffMs / 2 + Math.random() * (backoffMs / 2));
+
+        if (typeof policy.onRetry === 'function') {
+            policy.onRetry({ status: response.status, attempt: attempt + 1, delayMs });
+        }
+        await sleepWithSignal(delayMs, policy.signal || init.signal);
+    }
+}
+
+function parseRetryAfter(headerValue) {
+    if (!headerValue) {
+        return null;
+    }
+
+    const seconds = Number(headerValue);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(headerValue);
+    return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+function sleepWithSignal(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const abortError = () => {
+            const error = new Error('Request canceled');
+            error.name = 'AbortError';
+            return error;
+        };
+
+        if (signal && signal.aborted) {
+            reject(abortError());
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(abortError());
+        };
+        const timer = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            resolve();
+        }, ms);
+
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
+
+// Maps a failed request to { category, message } with a next step the user can take.
+// Categories: auth, model, rate_limit, blocked (CORS/mixed content), unreachable, server, budget, config, unknown.
+window.diagnoseProviderError = function (error, { provider = '', model = '', baseUrl = '' } = {}) {
+    const status = Number(error && error.status) || 0;
+    const detail = String((error && error.message) || 'Unknown error');
+
+    if (/daily token budget/i.test(detail)) {
+        return { category: 'budget', message: detail };
+    }
+    if (status === 429 || /rate.?limit|quota|too many requests/i.test(detail)) {
+        return { category: 'rate_limit', message: `Rate limited or out of quota. Wait a moment or check the plan and billing for this key. (${detail})` };
+    }
+    if (/OLLAMA_ORIGINS|\bCORS\b|\borigin\b/i.test(detail) || (provider === 'ollama' && status === 403)) {
+        return { category: 'blocked', message: `The server rejected this extension's origin. ${provider === 'ollama' ? 'Set OLLAMA_ORIGINS=chrome-extension://* and restart Ollama.' : 'Allow chrome-extension:// origins on the server.'}` };
+    }
+    if (status === 401 || status === 403 || /api.?key|authenticat|unauthori[sz]ed|security token|signature/i.test(detail)) {
+        return { category: 'auth', message: `The credentials were rejected. Check the API key${provider === 'aws-bedrock' ? ', secret and region' : ''}. (${detail})` };
+    }
+    if (status === 404 || (/model|deployment/i.test(detail) && /not found|does not exist|unknown|invalid|not supported/i.test(detail))) {
+        return { category: 'model', message: `Model "${model || 'default'}" was not found. Check the spelling or use Fetch models. (${detail})` };
+    }
+    if (status >= 500) {
+        return { category: 'server', message: `The provider returned HTTP ${status}. It may be down; try again later. (${detail})` };
+    }
+    if (!status && ((error && error.name === 'TypeError') || /failed to fetch|networkerror|could not reach/i.test(detail))) {
+        if (isInsecureRemoteUrl(baseUrl)) {
+            return { category: 'blocked', message: 'The browser blocked a plain http:// request to a remote host (mixed content or CORS). Use https:// for remote endpoints.' };
+        }
+        return { category: 'unreachable', message: `Could not reach ${baseUrl || provider}. Check the base URL and that the server is running. (${detail})` };
+    }
+    if (!status) {
+        return { category: 'config', message: detail };
+    }
+    return { category: 'unknown', message: detail };
+};
+
+function isInsecureRemoteUrl(value) {
+    try {
+        const url = new URL(String(value || ''));
+        return url.protocol === 'http:' && !['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+    } catch (_error) {
+        return false;
+    }
+}
+
+async function createApiError(response, message) {
+    const error = new Error(message || await readApiError(response));
+    error.status = response.status;
+    const retryAfterMs = parseRetryAfter(response.headers?.get?.('retry-after'));
+    if (retryAfterMs !== null) {
+        error.retryAfterMs = retryAfterMs;
+    }
+    return error;
+}
+
+// Rough token estimate: ~4 characters per token for Latin text (~3.5 on Claude), ~1.5 for other scripts.
+window.estimateTokens = function (text, provider = '') {
+    const value = typeof text === 'string' ? text : JSON.stringify(text ?? '');
+    const asciiChars = value.replace(/[^\x00-\x7f]/g, '').length;
+    const otherChars = value.length - asciiChars;
+    const charsPerToken = provider === 'anthropic' ? 3.5 : 4;
+    return Math.ceil(asciiChars / charsPerToken + otherChars / 1.5);
+};
+
+// Counts text plus a flat estimate per attached image; message is a normalized { role, content } entry.
+window.estimateMessageTokens = function (message, provider = '') {
+    const imageCount = getMessageParts(message).filter(part => part.type === 'image').length;
+    return window.estimateTokens(getMessageText(message), provider) + imageCount * IMAGE_TOKEN_ESTIMATE;
+};
+
+window.getModelContextWindow = function (provider, model) {
+    if (provider === 'ollama') {
+        return PROVIDER_CONTEXT_WINDOWS.ollama;
+    }
+
+    const match = MODEL_CONTEXT_WINDOWS.find(([pattern]) => pattern.test(String(model || '')));
+    if (match) {
+        return match[1];
+    }
+    return PROVIDER_CONTEXT_WINDOWS[provider] || DEFAULT_CONTEXT_WINDOW;
+};
+
+// Input tokens available for a request once room for the reply is set aside.
+window.getContextTokenBudget = function (provider, model, reserveTokens = DEFAULT_OUTPUT_RESERVE_TOKENS) {
+    const contextWindow = Math.min(window.getModelContextWindow(provider, model), MAX_CONTEXT_BUDGET_TOKENS);
+    return Math.max(512, contextWindow - reserveTokens);
+};
+
+// Keeps system messages and the latest user turn intact, then fills the remaining budget with the newest turns.
+// Dropped turns are replaced by a short note listing what the user asked earlier.
+window.fitMessagesToBudget = function (messagesInput, { provider = '', model = '', reserveTokens } = {}) {
+    const messages = normalizeMessagesInput(messagesInput);
+    const budget = window.getContextTokenBudget(provider, model, reserveTokens);
+    const countTokens = message => window.estimateMessageTokens(message, provider) + 4;
+
+    const systemMessages = messages.filter(message => message.role === 'system');
+    const turns = messages.filter(message => message.role !== 'system');
+    const latestTurn = turns.pop();
+
+    let usedTokens = systemMessages.reduce((total, message) => total + countTokens(message), 0)
+        + (latestTurn ? countTokens(latestTurn) : 0);
+
+    const keptTurns = [];
+    let dropIndex = turns.length;
+    for (let index = turns.length - 1; index >= 0; index--) {
+        const cost = countTokens(turns[index]);
+        if (usedTokens + cost > budget) {
+            break;
+        }
+        usedTokens += cost;
+        keptTurns.unshift(turns[index]);
+        dropIndex = index;
+    }
+
+    // Replies must not lead the kept window, otherwise some providers reject the turn order.
+    while (keptTurns.length && keptTurns[0].role === 'assistant') {
+        keptTurns.shift();
+        dropIndex += 1;
+    }
+
+    const droppedTurns = turns.slice(0, dropIndex);
+    const summary = summarizeDroppedTurns(droppedTurns, Math.max(0, Math.min(300, budget - usedTokens)), provider);
+
+    return [
+        ...systemMessages,
+        ...(summary ? [{ role: 'system', content: summary }] : []),
+        ...keptTurns,
+        ...(latestTurn ? [latestTurn] : [])
+    ];
+};
+
+function summarizeDroppedTurns(droppedTurns, maxTokens, provider) {
+    if (!droppedTurns.length || maxTokens < 40) {
+        return '';
+    }
+
+    let summary = `Earlier conversation (${droppedTurns.length} message(s) omitted to fit the context window). The user previously asked about:`;
+    for (const turn of droppedTurns.filter(message => message.role === 'user')) {
+        const line = `\n- ${getMessageText(turn).replace(/\s+/g, ' ').slice(0, 100)}`;
+        if (window.estimateTokens(summary + line, provider) > maxTokens) {
+            break;
+        }
+        summary += line;
+    }
+    return summary;
+}
+
+function normalizeUsage(promptTokens, completionTokens) {
+    const prompt = Number(promptTokens) || 0;
+    const completion = Number(completionTokens) || 0;
+    if (!prompt && !completion) {
+        return null;
+    }
+    return { promptTokens: prompt, completionTokens: completion, totalTokens: prompt + completion };
+}
+
+// Returns null when the model's price is unknown so callers can show tokens without a misleading cost.
+function estimateCostUsd(provider, model, usage) {
+    if (FREE_PROVIDERS.has(provider)) {
+        return 0;
+    }
+
+    const pricing = MODEL_PRICING.find(([pattern]) => pattern.test(String(model || '')));
+    if (!pricing) {
+        return null;
+    }
+
+    const [, inputPrice, outputPrice] = pricing;
+    return (usage.promptTokens * inputPrice + usage.completionTokens * outputPrice) / 1000000;
+}
+
+// The budget resets at the user's local midnight, so the key is built from local date parts, not UTC.
+function getUsageDayKey(date = new Date()) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+async function readDailyUsage() {
+    if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.local) {
+        return null;
+    }
+
+    const { usageTotals, dailyTokenBudget } = await chrome.storage.local.get(['usageTotals', 'dailyTokenBudget']);
+    const today = getUsageDayKey();
+    const totals = usageTotals && usageTotals.day === today
+        ? usageTotals
+        : { day: today, promptTokens: 0, completionTokens: 0, costUsd: 0, requests: 0 };
+
+    return { totals, dailyTokenBudget: Number(dailyTokenBudget) || 0 };
+}
+
+async function assertWithinDailyBudget() {
+    const usage = await readDailyUsage();
+    if (!usage || !usage.dailyTokenBudget) {
+        return;
+    }
+
+    const usedTokens = usage.totals.promptTokens + usage.totals.completionTokens;
+    if (usedTokens >= usage.dailyTokenBudget) {
+        throw new Error(`Daily token budget reached (${usedTokens.toLocaleString()} of ${usage.dailyTokenBudget.toLocaleString()} tokens used today). Raise or clear the cap in settings.`);
+    }
+}
+
+async function recordDailyUsage(usage) {
+    const current = await readDailyUsage();
+    if (!current) {
+        return;
+    }
+
+    const { totals } = current;
+    await chrome.storage.local.set({
+        usageTotals: {
+            day: totals.day,
+            promptTokens: totals.promptTokens + usage.promptTokens,
+            completionTokens: totals.completionTokens + usage.completionTokens,
+            costUsd: totals.costUsd + (usage.costUsd || 0),
+            requests: totals.requests + 1
+        }
+    });
+}
+
+// Today's running totals and the configured cap, for the settings panel.
+window.getDailyUsage = async function () {
+    return await readDailyUsage();
+};
+
+// Fixtures are keyed by a SHA-256 of the request: tools, tool choice, response schema and either the caller's
+// replayScope or, without one, the messages. The agent planner passes a scope (redacted prompt, round, actions so far)
+// because its messages carry live tab ids, titles, URLs and page context. Generation settings and the provider are
+// not part of the key, so a run recorded on one provider replays on any profile. Images in messages are reduced to
+// a placeholder so screenshots do not break matching.
+function buildReplayRequest(messages, { tools, toolChoice, responseSchema, replayScope }) {
+    return {
+        ...(replayScope ? { scope: replayScope } : {
+            messages: messages.map(message => ({
+                role: message.role,
+                content: getMessageParts(message).map(part => (part.type === 'image' ? { type: 'image' } : { type: 'text', text: part.text }))
+            }))
+        }),
+        tools: tools ? tools.map(tool => ({ name: tool.name, description: tool.description || '', parameters: tool.parameters || {} })) : null,
+        toolChoice: tools ? toolChoice : null,
+        responseSchema: responseSchema ? responseSchema.schema : null
+    };
+}
+
+async function readReplayStore() {
+    if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.local) {
+        return { fixtures: {}, recording: false };
+    }
+
+    const { replayFixtures, replayRecording } = await chrome.storage.local.get(['replayFixtures', 'replayRecording']);
+    return {
+        fixtures: replayFixtures && typeof replayFixtures === 'object' ? replayFixtures : {},
+        recording: Boolean(replayRecording)
+    };
+}
+
+async function writeReplayFixtures(fixtures) {
+    const kept = Object.values(fixtures)
+        .sort((a, b) => (b.recordedAt || 0) - (a.recordedAt || 0))
+        .slice(0, MAX_REPLAY_FIXTURES);
+    await chrome.storage.local.set({
+        replayFixtures: Object.fromEntries(kept.map(fixture => [fixture.key, fixture]))
+    });
+}
+
+async function fetchReplay(messages, { onDelta, tools, toolChoice, responseSchema, replayScope, replaySecrets }) {
+    const key = await sha256Hex(JSON.stringify(buildReplayRequest(messages, { tools, toolChoice, responseSchema, replayScope })));
+    const { fixtures } = await readReplayStore();
+    const fixture = fixtures[key];
+    if (!fixture) {
+        // replayMiss lets the agent planner fall back to the next output mode, which may be the one the fixture
+        // was recorded in (a free-text provider never records tool or schema requests).
+        const mode = tools ? ' with tools' : (responseSchema ? ' with a response schema' : '');
+        const error = new Error(`No replay fixture matches this request${mode} (key ${key.slice(0, 12)}). Record it with a live provider first.`);
+        error.replayMiss = true;
+        throw error;
+    }
+
+    // Prompt secrets were stored as numbered placeholders; this run's prompt supplies the values again.
+    let serialized = JSON.stringify(fixture.response);
+    replaySecrets.forEach((secret, index) => {
+        serialized = serialized.split(replaySecretPlaceholder(index)).join(JSON.stringify(String(secret)).slice(1, -1));
+    });
+    const response = JSON.parse(serialized);
+
+    const text = String(response.text || '');
+    if (onDelta && text) {
+        onDelta(text, text);
+    }
+    // Replayed calls spend no tokens, so they report no usage and never touch the daily totals.
+    return { text, toolCalls: Array.isArray(response.toolCalls) ? response.toolCalls : [], usage: null };
+}
+
+function replaySecretPlaceholder(index) {
+    return `[prompt secret ${index + 1}]`;
+}
+
+// Stores a live completion while record mode is on. Credentials never reach the fixture: messages are kept only
+// as part of the key hash, the scope is already redacted by the caller, API keys echoed back in the reply are
+// replaced, and prompt passwords (requestOptions.replaySecrets) become placeholders that fetchReplay fills in.
+async function recordReplayFixture(messages, profile, requestOptions, completion) {
+    const { fixtures, recording } = await readReplayStore();
+    if (!recording) {
+        return;
+    }
+
+    const request = buildReplayRequest(messages, requestOptions);
+    const key = await sha256Hex(JSON.stringify(request));
+    const providerConfig = profile.providerConfig || {};
+    const secrets = [profile.apiKey, providerConfig.secretAccessKey, providerConfig.sessionToken]
+        .filter(value => typeof value === 'string' && value.length >= 8);
+
+    let serialized = JSON.stringify({
+        key,
+        recordedAt: Date.now(),
+        provider: profile.provider,
+        model: profile.model || '',
+        request: { ...request, messages: undefined, messageCount: request.messages ? request.messages.length : undefined },
+        response: { text: completion.text || '', toolCalls: completion.toolCalls || [] }
+    });
+    secrets.forEach(secret => {
+        serialized = serialized.split(JSON.stringify(secret).slice(1, -1)).join('[redacted]');
+    });
+    requestOptions.replaySecrets.forEach((secret, index) => {
+        if (typeof secret === 'string' && secret.length >= 4) {
+            serialized = serialized.split(JSON.stringify(secret).slice(1, -1)).join(replaySecretPlaceholder(index));
+        }
+    });
+
+    await writeReplayFixtures({ ...fixtures, [key]: JSON.parse(serialized) });
+}
+
+// Export/import use { version: 1, fixtures: [...] } so saved transcripts can be shared and replayed elsewhere.
+window.exportReplayFixtures = async function () {
+    const { fixtures } = await readReplayStore();
+    return { version: 1, exportedAt: new Date().toISOString(), fixtures: Object.values(fixtures) };
+};
+
+window.importReplayFixtures = async function (data) {
+    const incoming = data && Array.isArray(data.fixtures) ? data.fixtures : null;
+    if (!incoming) {
+        throw new Error('Not a replay fixture file: expected { version, fixtures: [...] }.');
+    }
+
+    const valid = incoming.filter(fixture => fixture
+        && typeof fixture.key === 'string'
+        && /^[0-9a-f]{64}$/.test(fixture.key)
+        && fixture.response
+        && typeof fixture.response === 'object');
+    const { fixtures } = await readReplayStore();
+    await writeReplayFixtures({ ...fixtures, ...Object.fromEntries(valid.map(fixture => [fixture.key, fixture])) });
+    return valid.length;
+};
+
+window.clearReplayFixtures = async function () {
+    await chrome.storage.local.remove('replayFixtures');
+};
+
+window.getReplayFixtureCount = async function () {
+    const { fixtures } = await readReplayStore();
+    return Object.keys(fixtures).length;
+};
+
+// Drops unset or invalid values so each adapter only sends what the profile actually configures.
+function normalizeGenerationParams(raw) {
+    const source = raw && typeof raw === 'object' ? raw : {};
+    const toNumber = value => (value === '' || value === null || value === undefined ? NaN : Number(value));
+    const params = {};
+
+    const temperature = toNumber(source.temperature);
+    if (Number.isFinite(temperature) && temperature >= 0) params.temperature = temperature;
+
+    const maxTokens = Math.floor(toNumber(source.maxTokens));
+    if (Number.isFinite(maxTokens) && maxTokens > 0) params.maxTokens = maxTokens;
+
+    const topP = toNumber(source.topP);
+    if (Number.isFinite(topP) && topP > 0 && topP <= 1) params.topP = topP;
+
+    const seed = Math.floor(toNumber(source.seed));
+    if (Number.isFinite(seed)) params.seed = seed;
+
+    const stop = (Array.isArray(source.stop) ? source.stop : [])
+        .map(sequence => String(sequence || ''))
+        .filter(Boolean)
+        .slice(0, 4);
+    if (stop.length) params.stop = stop;
+
+    return params;
+}
+
+function hasGenerationParams(generation) {
+    return Object.keys(generation || {}).length > 0;
+}
+
+function pickDefined(fields) {
+    return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+}
+
+function parseToolArguments(rawArguments) {
+    if (rawArguments && typeof rawArguments === 'object') {
+        return rawArguments;
+    }
+    try {
+        const parsed = JSON.parse(String(rawArguments || '{}'));
+        return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (_error) {
+        return {};
     }
-    return content;
 }
 
 async function readApiError(response) {
@@ -119,6 +1559,9 @@ async function readApiError(response) {
     const fallback = `API error: ${response.status}`;
     try {
         const payload = await response.json();
+        if (typeof payload?.error === 'string') {
+            return payload.error;
+        }
         return payload?.error?.message || payload?.message || fallback;
     } catch (_error) {
         return fallback;
@@ -135,7 +1578,7 @@ function normalizeMessagesInput(input) {
                     : message.role === 'system'
                         ? 'system'
                         : 'user';
-                const content = String(message.content || '').trim();
+                const content = normalizeMessageContent(message.content);
                 if (!content) return null;
                 return { role, content };
             })
@@ -149,28 +1592,100 @@ function normalizeMessagesInput(input) {
     return [{ role: 'user', content: text }];
 }
 
-function toGeminiContents(messages) {
+// Text-only content collapses to a plain string so most adapters keep sending the simple form.
+function normalizeMessageContent(content) {
+    if (!Array.isArray(content)) {
+        return String(content || '').trim();
+    }
+
+    const parts = content.map(normalizeContentPart).filter(Boolean);
+    if (!parts.some(part => part.type === 'image')) {
+        return parts.map(part => part.text).join('\n').trim();
+    }
+    return parts;
+}
+
+function normalizeContentPart(part) {
+    if (typeof part === 'string') {
+        return part.trim() ? { type: 'text', text: part } : null;
+    }
+    if (!part || typeof part !== 'object') {
+        return null;
+    }
+
+    if (part.type === 'image') {
+        const dataUrlMatch = /^data:(image\/[\w.+-]+);base64,(.+)$/i.exec(String(part.dataUrl || ''));
+        const mimeType = dataUrlMatch ? dataUrlMatch[1].toLowerCase() : String(part.mimeType || 'image/jpeg').toLowerCase();
+        const data = dataUrlMatch ? dataUrlMatch[2] : String(part.data || '');
+        return data ? { type: 'image', mimeType, data } : null;
+    }
+
+    const text = String(part.text || '');
+    return text.trim() ? { type: 'text', text } : null;
+}
+
+function getMessageParts(message) {
+    return Array.isArray(message.content)
+        ? message.content
+        : [{ type: 'text', text: message.content }];
+}
+
+function getMessageText(message) {
+    return getMessageParts(message)
+        .filter(part => part.type === 'text')
+        .map(part => part.text)
+        .join('\n');
+}
+
+function toOpenAIMessages(messages) {
+    return messages.map(message => {
+        if (!Array.isArray(message.content)) {
+            return message;
+        }
+        return {
+            role: message.role,
+            content: message.content.map(part => (part.type === 'image'
+                ? { type: 'image_url', image_url: { url: `data:${part.mimeType};base64,${part.data}` } }
+                : { type: 'text', text: part.text }))
+        };
+    });
+}
+
+// System messages become systemInstruction and consecutive turns with the same role are merged,
+// because Gemini rejects two user (or two model) turns in a row.
+function toGeminiPayload(messages) {
+    const systemTexts = [];
     const contents = [];
+
     for (const message of messages) {
-        let role = 'user';
-        let text = message.content;
+        if (message.role === 'system') {
+            systemTexts.push(getMessageText(message));
+            continue;
+        }
 
-        if (message.role === 'assistant') {
-            role = 'model';
-        } else if (message.role === 'system') {
-            role = 'user';
-            text = `[System]\n${text}`;
+        const role = message.role === 'assistant' ? 'model' : 'user';
+        const parts = getMessageParts(message).map(part => (part.type === 'image'
+            ? { inlineData: { mimeType: part.mimeType, data: part.data } }
+            : { text: part.text }));
+
+        const previous = contents[contents.length - 1];
+        if (previous && previous.role === role) {
+            previous.parts.push(...parts);
+        } else {
+            contents.push({ role, parts });
         }
+    }
 
-        contents.push({
-            role,
-            parts: [{ text }]
-        });
+    const systemText = systemTexts.join('\n\n').trim();
+    if (!contents.length) {
+        // Gemini needs at least one turn, so a system-only prompt is sent as the user turn.
+        return { systemInstruction: null, contents: [{ role: 'user', parts: [{ text: systemText }] }] };
     }
 
-    return contents.length
-        ? contents
-        : [{ role: 'user', parts: [{ text: '' }] }];
+    return {
+        systemInstruction: systemText ? { parts: [{ text: systemText }] } : null,
+        contents
+    };
 }
 
 function toAnthropicPayload(messages) {
@@ -179,12 +1694,16 @@ function toAnthropicPayload(messages) {
 
     messages.forEach(message => {
         if (message.role === 'system') {
-            systemMessages.push(message.content);
+            systemMessages.push(getMessageText(message));
             return;
         }
         chatMessages.push({
             role: message.role === 'assistant' ? 'assistant' : 'user',
-            content: message.content
+            content: Array.isArray(message.content)
+                ? message.content.map(part => (part.type === 'image'
+                    ? { type: 'image', source: { type: 'base64', media_type: part.mimeType, data: part.data } }
+                    : { type: 'text', text: part.text }))
+                : message.content
         });
     });
 
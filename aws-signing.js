@@ -0,0 +1,89 @@
+// aws-signing.js signs AWS requests with Signature Version 4 (used by the Bedrock provider in api.js).
+// The side panel loads it as a plain script before api.js; Node's test runner loads it as a module.
+
+// Signs a request with AWS Signature Version 4 using WebCrypto and returns the headers to send.
+async function signAwsRequest({ method, url, headers = {}, body = '', region, service, credentials, date = new Date() }) {
+    const parsedUrl = new URL(url);
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+
+    const signedHeaderMap = {};
+    Object.entries(headers).forEach(([name, value]) => {
+        signedHeaderMap[name.toLowerCase()] = String(value).trim().replace(/\s+/g, ' ');
+    });
+    signedHeaderMap.host = parsedUrl.host;
+    signedHeaderMap['x-amz-date'] = amzDate;
+    if (credentials.sessionToken) {
+        signedHeaderMap['x-amz-security-token'] = credentials.sessionToken;
+    }
+
+    const headerNames = Object.keys(signedHeaderMap).sort();
+    const canonicalHeaders = headerNames.map(name => `${name}:${signedHeaderMap[name]}\n`).join('');
+    const signedHeaders = headerNames.join(';');
+
+    // Non-S3 services expect each already-encoded path segment to be encoded a second time.
+    const canonicalUri = parsedUrl.pathname
+        .split('/')
+        .map(segment => encodeRfc3986(segment))
+        .join('/') || '/';
+
+    const canonicalQuery = Array.from(parsedUrl.searchParams.entries())
+        .map(([key, value]) => [encodeRfc3986(key), encodeRfc3986(value)])
+        .sort(([keyA, valueA], [keyB, valueB]) => (keyA === keyB ? (valueA < valueB ? -1 : 1) : (keyA < keyB ? -1 : 1)))
+        .map(([key, value]) => `${key}=${value}`)
+        .join('&');
+
+    const canonicalRequest = [
+        method.toUpperCase(),
+        canonicalUri,
+        canonicalQuery,
+        canonicalHeaders,
+        signedHeaders,
+        await sha256Hex(body)
+    ].join('\n');
+
+    const credentialScope = `${dateStamp}/${region}/${service}/aws4_request`;
+    const stringToSign = [
+        'AWS4-HMAC-SHA256',
+        amzDate,
+        credentialScope,
+        await sha256Hex(canonicalRequest)
+    ].join('\n');
+
+    const dateKey = await hmacSha256(new TextEncoder().encode(`AWS4${credentials.secretAccessKey}`), dateStamp);
+    const regionKey = await hmacSha256(dateKey, region);
+    const serviceKey = await hmacSha256(regionKey, service);
+    const signingKey = await hmacSha256(serviceKey, 'aws4_request');
+    const signature = toHex(await hmacSha256(signingKey, stringToSign));
+
+    const requestHeaders = { ...headers, 'x-amz-date': amzDate };
+    if (credentials.sessionToken) {
+        requestHeaders['x-amz-security-token'] = credentials.sessionToken;
+    }
+    requestHeaders.Authorization = `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${credentialScope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+    return requestHeaders;
+}
+
+function encodeRfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+async function sha256Hex(value) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+    return toHex(digest);
+}
+
+async function hmacSha256(keyBytes, value) {
+    const key = await crypto.subtle.importKey('raw', keyBytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    return await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(value));
+}
+
+function toHex(buffer) {
+    return Array.from(new Uint8Array(buffer))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { signAwsRequest, sha256Hex };
+}
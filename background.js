@@ -6,9 +6,17 @@ const CONTENT_ACTIONS = new Set([
     'CLICK',
     'TYPE',
     'FILL_FORM',
+    'SCROLL',
+    'HOVER',
+    'PRESS_KEY',
+    'SELECT_OPTION',
     'ANALYZE_PAGE',
     'SCRAPE_PAGE',
-    'VISUALIZE_PAGE'
+    'EXTRACT_STRUCTURED',
+    'VISUALIZE_PAGE',
+    'CHECK_CONDITION',
+    'WAIT_FOR',
+    'PREVIEW_TARGET'
 ]);
 
 const DEFAULT_SETTINGS = {
@@ -51,6 +59,8 @@ chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
                 return await getActivePageContext(request.runId);
             case 'GET_TAB_SNAPSHOT':
                 return await getTabSnapshot();
+            case 'CAPTURE_VISIBLE_TAB':
+                return await captureActiveTabScreenshot();
             default:
                 return { status: 'error', error: `Unsupported message type: ${request.type}` };
         }
@@ -138,6 +148,10 @@ function cancelAgentRun(runId) {
         return { status: 'error', error: 'runId is required for cancellation.' };
     }
     setRunState(runId, { canceled: true });
+    // Content-side waits only end on their own at their timeout, so tell those tabs to stop now.
+    (RUN_STATES.get(runId).waitingTabIds || []).forEach(tabId => {
+        chrome.tabs.sendMessage(tabId, { type: 'CANCEL_ACTION', runId }, () => void chrome.runtime.lastError);
+    });
     return { status: 'success', detail: `Run ${runId} marked as canceled.` };
 }
 
@@ -185,6 +199,29 @@ async function getTabSnapshot() {
     };
 }
 
+// JPEG keeps a full-window capture small enough to attach to a planning request.
+async function captureActiveTabScreenshot() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab || !tab.id) {
+        throw new Error('No active tab found.');
+    }
+
+    if (isRestrictedUrl(tab.url || '')) {
+        throw new Error('Cannot capture browser-internal pages.');
+    }
+
+    const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'jpeg', quality: 60 });
+    return {
+        status: 'success',
+        dataUrl,
+        tab: {
+            id: tab.id,
+            title: tab.title || '',
+            url: tab.url || ''
+        }
+    };
+}
+
 async function executeActionOnTab(tab, plan, runId) {
     const safeTab = {
         tabId: tab.id,
@@ -241,6 +278,13 @@ async function runTabAction(tab, plan, runId) {
             await waitForTabReady(tab.id, runId, 4500);
             return { detail: `Searching YouTube for "${query}"` };
         }
+        case 'WAIT_FOR': {
+            // A full navigation replaces the content script, so URL waits are watched from here instead.
+            if (plan.until === 'url_matches') {
+                return await waitForTabUrl(tab.id, plan, runId);
+            }
+            return await runContentAction(tab.id, plan, runId);
+        }
         default: {
             if (!CONTENT_ACTIONS.has(action)) {
                 throw new Error(`Unsupported action "${action}"`);
@@ -250,9 +294,72 @@ async function runTabAction(tab, plan, runId) {
     }
 }
 
+// Resolves once the tab's committed URL contains plan.pattern, checking the current URL first and then every
+// tabs.onUpdated change. Rejects on timeout with the last URL seen, or as soon as the run is canceled.
+function waitForTabUrl(tabId, plan, runId) {
+    const timeoutMs = clamp(Number(plan.timeoutMs) || 10000, 500, 30000);
+    const pattern = String(plan.pattern || '').toLowerCase();
+    const started = Date.now();
+    let lastUrl = '';
+
+    return new Promise((resolve, reject) => {
+        let finished = false;
+
+        const finish = (error) => {
+            if (finished) {
+                return;
+            }
+            finished = true;
+            chrome.tabs.onUpdated.removeListener(onUpdated);
+            clearInterval(cancelPoll);
+            clearTimeout(timer);
+
+            if (error) {
+                reject(error);
+                return;
+            }
+            const waitedMs = Date.now() - started;
+            resolve({ detail: `Waited ${waitedMs}ms for URL containing "${plan.pattern}".`, data: { waitedMs, observed: `URL is ${lastUrl}` } });
+        };
+
+        const check = (url) => {
+            if (!url) {
+                return;
+            }
+            lastUrl = url;
+            if (url.toLowerCase().includes(pattern)) {
+                finish(null);
+            }
+        };
+
+        const onUpdated = (updatedTabId, changeInfo, tab) => {
+            if (updatedTabId === tabId) {
+                check(changeInfo.url || tab.url);
+            }
+        };
+
+        const cancelPoll = setInterval(() => {
+            try {
+                throwIfCanceled(runId);
+            } catch (error) {
+                finish(error);
+            }
+        }, 100);
+        const timer = setTimeout(() => {
+            finish(new Error(`WAIT_FOR timed out after ${timeoutMs}ms waiting for URL containing "${plan.pattern}". Observed: ${lastUrl ? `URL is ${lastUrl}` : 'nothing yet'}.`));
+        }, timeoutMs);
+
+        chrome.tabs.onUpdated.addListener(onUpdated);
+        chrome.tabs.get(tabId).then(tab => check(tab.url), error => finish(error));
+    });
+}
+
 async function runContentAction(tabId, plan, runId) {
     const maxAttempts = 8;
     let lastError = null;
+    // WAIT_FOR keeps one deadline across attempts, so a wait resumed after a navigation only gets the time left.
+    const waitTimeoutMs = plan.action === 'WAIT_FOR' ? clamp(Number(plan.timeoutMs) || 10000, 500, 30000) : 0;
+    const waitDeadline = Date.now() + waitTimeoutMs;
 
     for (let attempt = 1; attempt <= maxAttempts; attempt++) {
         throwIfCanceled(runId);
@@ -266,15 +373,27 @@ async function runContentAction(tabId, plan, runId) {
 
             await chrome.scripting.executeScript({
                 target: { tabId },
-                files: ['content.js']
+                files: ['number-text.js', 'content.js']
             });
 
             throwIfCanceled(runId);
+            let timeoutMs;
+            let actionPlan = plan;
+            if (waitTimeoutMs) {
+                const remainingMs = waitDeadline - Date.now();
+                if (remainingMs < 200) {
+                    throw new Error(`WAIT_FOR timed out after ${waitTimeoutMs}ms; the page navigated while waiting.`);
+                }
+                const waitingTabIds = RUN_STATES.get(runId)?.waitingTabIds || [];
+                setRunState(runId, { waitingTabIds: Array.from(new Set([...waitingTabIds, tabId])) });
+                actionPlan = { ...plan, timeoutMs: remainingMs };
+                timeoutMs = remainingMs + 5000;
+            }
             const response = await sendMessageToTab(tabId, {
                 type: 'RUN_ACTION',
                 runId,
-                plan
-            });
+                plan: actionPlan
+            }, timeoutMs);
 
             if (!response || response.status !== 'success') {
                 throw new Error(response?.error || 'Content script returned an error.');
@@ -286,7 +405,10 @@ async function runContentAction(tabId, plan, runId) {
             };
         } catch (error) {
             lastError = error;
-            if (!isRetryableContentError(error.message) || attempt === maxAttempts) {
+            // A navigation during WAIT_FOR (e.g. network_idle after a form post) closes the message port;
+            // the next attempt injects into the new page and keeps waiting there.
+            const navigatedDuringWait = waitTimeoutMs && isNavigationError(error.message);
+            if ((!isRetryableContentError(error.message) && !navigatedDuringWait) || attempt === maxAttempts) {
                 throw error;
             }
             await delay(180);
@@ -494,6 +616,13 @@ function isRetryableContentError(message) {
         || normalized.includes('cannot automate browser-internal pages');
 }
 
+function isNavigationError(message) {
+    const normalized = String(message || '').toLowerCase();
+    return normalized.includes('message port closed')
+        || normalized.includes('message channel closed')
+        || normalized.includes('back/forward cache');
+}
+
 function clamp(value, min, max) {
     return Math.min(max, Math.max(min, value));
 }
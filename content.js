@@ -6,11 +6,15 @@
     window.__rithconContentListenerInstalled = true;
 
     chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+        if (message.type === 'CANCEL_ACTION') {
+            cancelPendingWaits(message.runId);
+            return false;
+        }
         if (message.type !== 'RUN_ACTION') {
             return false;
         }
 
-        handleAction(message.plan)
+        handleAction(message.plan, message.runId)
             .then((result) => sendResponse({ status: 'success', detail: result.detail, data: result.data }))
             .catch((error) => sendResponse({ status: 'error', error: error.message }));
 
@@ -18,7 +22,7 @@
     });
 })();
 
-async function handleAction(planStep) {
+async function handleAction(planStep, runId) {
     if (!planStep || typeof planStep !== 'object') {
         throw new Error('Invalid action payload.');
     }
@@ -32,14 +36,30 @@ async function handleAction(planStep) {
             return clickElement(planStep);
         case 'TYPE':
             return typeIntoField(planStep);
+        case 'SCROLL':
+            return scrollPage(planStep);
+        case 'HOVER':
+            return hoverElement(planStep);
+        case 'PRESS_KEY':
+            return pressKey(planStep);
+        case 'SELECT_OPTION':
+            return await selectOption(planStep);
         case 'FILL_FORM':
             return fillForm(planStep);
         case 'ANALYZE_PAGE':
             return analyzePage(planStep);
         case 'SCRAPE_PAGE':
             return scrapePage(planStep);
+        case 'EXTRACT_STRUCTURED':
+            return extractStructured(planStep);
         case 'VISUALIZE_PAGE':
             return visualizePage();
+        case 'CHECK_CONDITION':
+            return checkCondition(planStep);
+        case 'WAIT_FOR':
+            return await waitForCondition(planStep, runId);
+        case 'PREVIEW_TARGET':
+            return previewTarget(planStep);
         default:
             throw new Error(`Unsupported content action: ${action}`);
     }
@@ -79,6 +99,19 @@ async function playMedia() {
 function clickElement(step) {
     const selector = typeof step.selector === 'string' ? step.selector.trim() : '';
     const text = typeof step.text === 'string' ? step.text.trim() : '';
+    const target = findClickTarget(step);
+
+    if (!target) {
+        throw new Error(`Could not find element to click (${selector || `text="${text}"`}).`);
+    }
+
+    triggerClick(target);
+    return { detail: `Clicked ${selector || `text "${text}"`}.` };
+}
+
+function findClickTarget(step) {
+    const selector = typeof step.selector === 'string' ? step.selector.trim() : '';
+    const text = typeof step.text === 'string' ? step.text.trim() : '';
 
     let target = null;
     if (selector) {
@@ -87,25 +120,11 @@ function clickElement(step) {
     if (!target && text) {
         target = findClickableByText(text);
     }
-
-    if (!target) {
-        throw new Error(`Could not find element to click (${selector || `text="${text}"`}).`);
-    }
-
-    triggerClick(target);
-    return { detail: `Clicked ${selector || `text "${text}"`}.` };
+    return target;
 }
 
 function typeIntoField(step) {
-    const descriptor = {
-        selector: step.selector,
-        name: step.name,
-        label: step.label,
-        placeholder: step.placeholder,
-        type: step.type
-    };
-
-    const field = findFieldElement(descriptor);
+    const field = findTypeTarget(step);
     if (!field) {
         throw new Error(`Input not found for selector "${step.selector || ''}".`);
     }
@@ -118,6 +137,205 @@ function typeIntoField(step) {
     return { detail: `Typed into ${getElementSelector(field)}.` };
 }
 
+// Scrolls the page, a scrollable element, or until the element showing step.text is in view. The returned
+// position lets a REPEAT_UNTIL loop notice the end of an infinite feed.
+function scrollPage(step) {
+    const mode = step.mode || 'page';
+
+    if (mode === 'text') {
+        const element = findElementByText(step.text);
+        if (!element) {
+            throw new Error(`Could not find text "${step.text}" to scroll to.`);
+        }
+        element.scrollIntoView({ block: 'center' });
+        return { detail: `Scrolled to "${step.text}".`, data: describeScrollPosition(document.scrollingElement || document.documentElement) };
+    }
+
+    let container = document.scrollingElement || document.documentElement;
+    if (mode === 'element') {
+        container = document.querySelector(step.selector);
+        if (!container) {
+            throw new Error(`Could not find element to scroll (${step.selector}).`);
+        }
+    }
+
+    const viewportHeight = mode === 'element' ? container.clientHeight : window.innerHeight;
+    const amount = Number(step.amount) || Math.round(viewportHeight * 0.8);
+    const direction = step.direction || 'down';
+    const top = direction === 'top'
+        ? 0
+        : direction === 'bottom'
+            ? container.scrollHeight
+            : container.scrollTop + (direction === 'up' ? -amount : amount);
+
+    container.scrollTo({ top, behavior: 'instant' });
+    const position = describeScrollPosition(container);
+    return {
+        detail: `Scrolled ${mode === 'element' ? step.selector : 'page'} ${direction}${position.atBottom ? ' (reached the bottom)' : ''}.`,
+        data: position
+    };
+}
+
+function describeScrollPosition(container) {
+    return {
+        scrollTop: Math.round(container.scrollTop),
+        scrollHeight: container.scrollHeight,
+        atBottom: container.scrollTop + container.clientHeight >= container.scrollHeight - 2
+    };
+}
+
+function hoverElement(step) {
+    const selector = typeof step.selector === 'string' ? step.selector.trim() : '';
+    const element = (selector && document.querySelector(selector)) || (step.text && findElementByText(step.text));
+    if (!element) {
+        throw new Error(`Could not find element to hover (${selector || `text="${step.text}"`}).`);
+    }
+
+    element.scrollIntoView({ block: 'center' });
+    const rect = element.getBoundingClientRect();
+    const position = { bubbles: true, cancelable: true, clientX: rect.left + rect.width / 2, clientY: rect.top + rect.height / 2 };
+    element.dispatchEvent(new PointerEvent('pointerover', position));
+    element.dispatchEvent(new PointerEvent('pointerenter', { ...position, bubbles: false }));
+    element.dispatchEvent(new MouseEvent('mouseover', position));
+    element.dispatchEvent(new MouseEvent('mouseenter', { ...position, bubbles: false }));
+    element.dispatchEvent(new PointerEvent('pointermove', position));
+    element.dispatchEvent(new MouseEvent('mousemove', position));
+    if (typeof element.focus === 'function') {
+        element.focus({ preventScroll: true });
+    }
+    return { detail: `Hovered ${selector || `text "${step.text}"`}.` };
+}
+
+// Synthetic key events do not trigger the browser's default actions, so Enter (implicit form submit) and Tab
+// (focus move) are carried out here unless a page handler called preventDefault.
+function pressKey(step) {
+    const selector = typeof step.selector === 'string' ? step.selector.trim() : '';
+    let element = document.activeElement || document.body;
+    if (selector) {
+        element = document.querySelector(selector);
+        if (!element) {
+            throw new Error(`Could not find element to press keys on (${selector}).`);
+        }
+        element.focus();
+    }
+
+    const keyCodes = {
+        Enter: 13, Escape: 27, Tab: 9, Backspace: 8, Delete: 46, Space: 32,
+        ArrowUp: 38, ArrowDown: 40, ArrowLeft: 37, ArrowRight: 39, Home: 36, End: 35, PageUp: 33, PageDown: 34
+    };
+    const key = step.key === 'Space' ? ' ' : step.key;
+    const modifiers = new Set(Array.isArray(step.modifiers) ? step.modifiers : []);
+    const keyCode = keyCodes[step.key] || key.toUpperCase().charCodeAt(0);
+    const init = {
+        key,
+        code: describeKeyCode(step.key),
+        keyCode,
+        which: keyCode,
+        bubbles: true,
+        cancelable: true,
+        ctrlKey: modifiers.has('ctrl'),
+        shiftKey: modifiers.has('shift'),
+        altKey: modifiers.has('alt'),
+        metaKey: modifiers.has('meta')
+    };
+
+    const proceeded = element.dispatchEvent(new KeyboardEvent('keydown', init));
+    const printable = key.length === 1 || key === 'Enter';
+    if (proceeded && printable && !init.ctrlKey && !init.metaKey && !init.altKey) {
+        element.dispatchEvent(new KeyboardEvent('keypress', { ...init, charCode: key === 'Enter' ? 13 : key.charCodeAt(0) }));
+    }
+    element.dispatchEvent(new KeyboardEvent('keyup', init));
+
+    let effect = '';
+    if (proceeded && step.key === 'Enter' && element.form && element instanceof HTMLInputElement && modifiers.size === 0) {
+        element.form.requestSubmit();
+        effect = ' and submitted the form';
+    } else if (proceeded && step.key === 'Tab') {
+        moveFocus(element, modifiers.has('shift') ? -1 : 1);
+        effect = ' and moved focus';
+    }
+
+    const combo = [...['ctrl', 'shift', 'alt', 'meta'].filter(modifier => modifiers.has(modifier)), step.key].join('+');
+    return { detail: `Pressed ${combo} on ${element === document.body ? 'the page' : getElementSelector(element)}${effect}.` };
+}
+
+function describeKeyCode(key) {
+    if (key.length === 1) {
+        return /[a-z]/i.test(key) ? `Key${key.toUpperCase()}` : /\d/.test(key) ? `Digit${key}` : '';
+    }
+    return key;
+}
+
+function moveFocus(fromElement, offset) {
+    const focusable = Array.from(document.querySelectorAll('a[href], button, input, select, textarea, [tabindex]'))
+        .filter(element => !element.disabled && element.tabIndex >= 0 && isElementVisible(element));
+    const next = focusable[focusable.indexOf(fromElement) + offset];
+    if (next) {
+        next.focus();
+    }
+}
+
+// Native <select> elements are set directly; custom dropdowns are opened with a click and the matching
+// role="option" entry is clicked.
+async function selectOption(step) {
+    const wanted = normalizeText(step.option);
+    const selector = typeof step.selector === 'string' ? step.selector.trim() : '';
+
+    let control = selector ? document.querySelector(selector) : null;
+    if (!control && step.label) {
+        control = findFieldElement({ label: step.label, name: step.label }) || findElementByText(step.label);
+    }
+    if (!control) {
+        control = Array.from(document.querySelectorAll('select'))
+            .filter(isElementVisible)
+            .find(select => Array.from(select.options).some(option => optionMatches(option, wanted))) || null;
+    }
+
+    if (control instanceof HTMLSelectElement) {
+        const option = Array.from(control.options).find(candidate => optionMatches(candidate, wanted));
+        if (!option) {
+            throw new Error(`Option "${step.option}" not found in ${getElementSelector(control)}.`);
+        }
+        control.focus();
+        control.value = option.value;
+        control.dispatchEvent(new Event('input', { bubbles: true }));
+        control.dispatchEvent(new Event('change', { bubbles: true }));
+        control.blur();
+        return { detail: `Selected "${cleanWhitespace(option.textContent)}" in ${getElementSelector(control)}.` };
+    }
+
+    const scope = control && control.getAttribute('role') === 'listbox' ? control : document;
+    if (control && scope === document) {
+        triggerClick(control);
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+
+    const ariaOption = Array.from(scope.querySelectorAll('[role="option"]'))
+        .filter(isElementVisible)
+        .find(option => optionMatches(option, wanted));
+    if (!ariaOption) {
+        throw new Error(`Option "${step.option}" not found${control ? ` after opening ${getElementSelector(control)}` : ''}.`);
+    }
+    triggerClick(ariaOption);
+    return { detail: `Selected "${getElementDisplayText(ariaOption)}".` };
+}
+
+function optionMatches(option, wanted) {
+    const text = normalizeText(option.textContent || option.getAttribute('aria-label') || '');
+    const value = normalizeText(option.value || option.getAttribute('data-value') || '');
+    return value === wanted || text === wanted || (wanted && text.includes(wanted));
+}
+
+function findTypeTarget(step) {
+    return findFieldElement({
+        selector: step.selector,
+        name: step.name,
+        label: step.label,
+        placeholder: step.placeholder,
+        type: step.type
+    });
+}
+
 function fillForm(step) {
     if (!Array.isArray(step.fields) || !step.fields.length) {
         throw new Error('FILL_FORM requires at least one field.');
@@ -260,6 +478,433 @@ function scrapePage(step) {
     };
 }
 
+function checkCondition(step) {
+    const condition = step.condition && typeof step.condition === 'object' ? step.condition : {};
+    let matched;
+    switch (condition.type) {
+        case 'element_exists': {
+            const selector = typeof condition.selector === 'string' ? condition.selector.trim() : '';
+            const element = (selector && document.querySelector(selector)) || (condition.text && findClickableByText(condition.text));
+            matched = Boolean(element) && isElementVisible(element);
+            break;
+        }
+        case 'text_present':
+            matched = normalizeText(document.body?.innerText || '').includes(normalizeText(condition.text));
+            break;
+        case 'url_matches':
+            matched = window.location.href.toLowerCase().includes(String(condition.pattern || '').toLowerCase());
+            break;
+        default:
+            throw new Error(`Unsupported condition type: ${condition.type}`);
+    }
+
+    if (condition.negate) {
+        matched = !matched;
+    }
+    return {
+        detail: `Condition ${condition.negate ? 'not ' : ''}${condition.type} ${matched ? 'met' : 'not met'}.`,
+        data: { matched }
+    };
+}
+
+// Builds one record per repeated item (product cards, result rows, table rows). Fields are read from the
+// field's selector, then from descendants whose class/itemprop/aria-label mention the field name. The item
+// texts are returned as candidates so the agent can fill in what the DOM pass missed.
+function extractStructured(step) {
+    const schema = Array.isArray(step.schema)
+        ? step.schema.filter(field => field && typeof field.name === 'string' && field.name)
+        : [];
+    if (!schema.length) {
+        throw new Error('EXTRACT_STRUCTURED needs a schema with at least one named field.');
+    }
+
+    const maxRecords = clamp(Number(step.maxRecords) || 20, 1, 50);
+    const itemSelector = typeof step.itemSelector === 'string' ? step.itemSelector.trim() : '';
+    const items = (itemSelector
+        ? Array.from(document.querySelectorAll(itemSelector)).filter(isElementVisible)
+        : findRepeatedItems()
+    ).slice(0, maxRecords);
+
+    if (!items.length) {
+        throw new Error(itemSelector
+            ? `No visible elements match "${itemSelector}".`
+            : 'Could not find repeated items on this page. Try an itemSelector.');
+    }
+
+    const records = items.map(item => Object.fromEntries(
+        schema.map(field => [field.name, extractFieldValue(item, field)])
+    ));
+    const candidates = items.map(item => ({
+        text: cleanWhitespace(item.innerText || item.textContent || '').slice(0, 400),
+        links: Array.from(item.querySelectorAll('a[href]')).slice(0, 3).map(link => link.href.slice(0, 240)),
+        images: Array.from(item.querySelectorAll('img')).slice(0, 2).map(image => (image.currentSrc || image.src || '').slice(0, 240))
+    }));
+
+    return {
+        detail: `Extracted ${records.length} record(s) from ${document.title || window.location.href}.`,
+        data: {
+            url: window.location.href,
+            title: document.title || '',
+            itemSelector: itemSelector || getElementSelector(items[0]),
+            records,
+            candidates
+        }
+    };
+}
+
+// Picks the largest group of same-shaped visible siblings that carry a reasonable amount of text.
+function findRepeatedItems() {
+    let best = null;
+
+    document.querySelectorAll('body *').forEach(parent => {
+        if (parent.children.length < 3) {
+            return;
+        }
+
+        const groups = new Map();
+        Array.from(parent.children).forEach(child => {
+            const signature = `${child.tagName}.${(child.className && typeof child.className === 'string' ? child.className : '').split(/\s+/)[0]}`;
+            if (!groups.has(signature)) {
+                groups.set(signature, []);
+            }
+            groups.get(signature).push(child);
+        });
+
+        groups.forEach(members => {
+            if (members.length < 3) {
+                return;
+            }
+            const visible = members.filter(isElementVisible);
+            if (visible.length < 3) {
+                return;
+            }
+            const averageText = visible.reduce((sum, member) => sum + cleanWhitespace(member.textContent || '').length, 0) / visible.length;
+            if (averageText < 10 || averageText > 2000) {
+                return;
+            }
+            const richShare = visible.filter(member => member.children.length >= 2 || member.querySelector('a[href], img')).length / visible.length;
+            const score = visible.length * Math.min(averageText, 300) * (0.5 + richShare);
+            if (!best || score > best.score) {
+                best = { score, members: visible };
+            }
+        });
+    });
+
+    return best ? best.members : [];
+}
+
+function extractFieldValue(item, field) {
+    let element = null;
+    if (typeof field.selector === 'string' && field.selector.trim()) {
+        try {
+            element = item.querySelector(field.selector.trim());
+        } catch (_error) {
+            element = null;
+        }
+    }
+    if (!element) {
+        element = findElementByFieldName(item, field.name);
+    }
+
+    switch (field.type) {
+        case 'url': {
+            const link = (element && (element.closest('a[href]') || element.querySelector('a[href]')))
+                || (item.matches('a[href]') ? item : item.querySelector('a[href]'));
+            return link ? link.href : null;
+        }
+        case 'image': {
+            const image = (element && (element.tagName === 'IMG' ? element : element.querySelector('img'))) || item.querySelector('img');
+            return image ? (image.currentSrc || image.src || null) : null;
+        }
+        case 'number':
+            return parseNumberText(getElementDisplayText(element || item));
+        case 'boolean':
+            return element ? true : null;
+        default: {
+            if (!element && /name|title|heading|label/i.test(field.name)) {
+                element = item.querySelector('h1, h2, h3, h4, h5, h6, a[href], strong');
+            }
+            const text = element ? getElementDisplayText(element).slice(0, 300) : '';
+            return text || null;
+        }
+    }
+}
+
+function findElementByFieldName(item, name) {
+    const key = String(name).replace(/[^\w-]/g, '');
+    if (!key) {
+        return null;
+    }
+    const attributes = ['itemprop', 'class', 'data-testid', 'aria-label', 'name'];
+    return item.querySelector(attributes.map(attribute => `[${attribute}*="${key}" i]`).join(', '));
+}
+
+// Resolves once the condition holds. It is re-checked on every DOM mutation and on a short poll, since URL
+// changes and finished network requests do not always touch the DOM. On timeout the error says what was last
+// observed; a CANCEL_ACTION message for the run stops the wait early. A navigation ends this script, so
+// background.js watches url_matches itself and resumes other waits on the new page.
+function waitForCondition(step, runId) {
+    const timeoutMs = clamp(Number(step.timeoutMs) || 10000, 200, 60000);
+    const quietMs = clamp(Number(step.quietMs) || 500, 100, 10000);
+    const started = Date.now();
+    const timing = { lastMutationAt: started, lastResourceAt: started, quietMs };
+    const description = describeWaitCondition(step);
+    let observation = '';
+
+    return new Promise((resolve, reject) => {
+        const pendingWaits = getPendingWaits();
+        let finished = false;
+
+        const finish = (error) => {
+            if (finished) {
+                return;
+            }
+            finished = true;
+            observer.disconnect();
+            if (resourceObserver) {
+                resourceObserver.disconnect();
+            }
+            clearInterval(poll);
+            clearTimeout(timer);
+            pendingWaits.delete(cancel);
+
+            if (error) {
+                reject(error);
+                return;
+            }
+            const waitedMs = Date.now() - started;
+            resolve({ detail: `Waited ${waitedMs}ms for ${description}.`, data: { waitedMs, observed: observation } });
+        };
+
+        // innerText forces a layout, so text_appears is evaluated at most every 250ms however often the page
+        // mutates; the poll below picks up any change that was skipped.
+        let lastTextCheckAt = 0;
+        const check = () => {
+            if (step.until === 'text_appears') {
+                if (Date.now() - lastTextCheckAt < 250) {
+                    return;
+                }
+                lastTextCheckAt = Date.now();
+            }
+            try {
+                const state = evaluateWaitCondition(step, timing);
+                observation = state.observation;
+                if (state.met) {
+                    finish(null);
+                }
+            } catch (error) {
+                finish(error);
+            }
+        };
+
+        const cancel = () => finish(new Error(`WAIT_FOR canceled while waiting for ${description}.`));
+        pendingWaits.set(cancel, runId);
+
+        const observer = new MutationObserver(() => {
+            timing.lastMutationAt = Date.now();
+            check();
+        });
+        observer.observe(document.documentElement, { childList: true, subtree: true, attributes: true, characterData: true });
+
+        // Resource timing entries appear when a request finishes, so "idle" means nothing finished for quietMs.
+        let resourceObserver = null;
+        if (step.until === 'network_idle' && typeof PerformanceObserver === 'function') {
+            resourceObserver = new PerformanceObserver(() => {
+                timing.lastResourceAt = Date.now();
+            });
+            resourceObserver.observe({ type: 'resource' });
+        }
+
+        const poll = setInterval(check, 100);
+        const timer = setTimeout(() => {
+            finish(new Error(`WAIT_FOR timed out after ${timeoutMs}ms waiting for ${description}. Observed: ${observation || 'nothing yet'}.`));
+        }, timeoutMs);
+
+        check();
+    });
+}
+
+function evaluateWaitCondition(step, timing) {
+    const now = Date.now();
+    switch (step.until) {
+        case 'selector_visible':
+        case 'selector_hidden': {
+            const element = document.querySelector(step.selector);
+            const visible = Boolean(element) && isElementVisible(element);
+            return {
+                met: step.until === 'selector_visible' ? visible : !visible,
+                observation: element ? `${step.selector} is ${visible ? 'visible' : 'present but hidden'}` : `nothing matches ${step.selector}`
+            };
+        }
+        case 'text_appears': {
+            const pageText = normalizeText(document.body?.innerText || '');
+            const met = pageText.includes(normalizeText(step.text));
+            return { met, observation: met ? 'text is present' : `text not found in ${pageText.length} characters of page text` };
+        }
+        case 'url_matches': {
+            const url = window.location.href;
+            return { met: url.toLowerCase().includes(String(step.pattern || '').toLowerCase()), observation: `URL is ${url}` };
+        }
+        case 'dom_stable': {
+            const quietFor = now - timing.lastMutationAt;
+            return { met: quietFor >= timing.quietMs, observation: `last DOM change ${quietFor}ms ago` };
+        }
+        case 'network_idle': {
+            const quietFor = now - timing.lastResourceAt;
+            const loaded = document.readyState === 'complete';
+            return {
+                met: loaded && quietFor >= timing.quietMs,
+                observation: loaded ? `last network request finished ${quietFor}ms ago` : `document is still ${document.readyState}`
+            };
+        }
+        default:
+            throw new Error(`Unsupported WAIT_FOR condition: ${step.until}`);
+    }
+}
+
+function describeWaitCondition(step) {
+    switch (step.until) {
+        case 'selector_visible':
+            return `${step.selector} to be visible`;
+        case 'selector_hidden':
+            return `${step.selector} to be hidden`;
+        case 'text_appears':
+            return `text "${step.text}"`;
+        case 'url_matches':
+            return `URL containing "${step.pattern}"`;
+        case 'dom_stable':
+            return `the page to stop changing for ${step.quietMs || 500}ms`;
+        case 'network_idle':
+            return `network requests to settle for ${step.quietMs || 500}ms`;
+        default:
+            return String(step.until);
+    }
+}
+
+function getPendingWaits() {
+    if (!window.__rithconPendingWaits) {
+        window.__rithconPendingWaits = new Map();
+    }
+    return window.__rithconPendingWaits;
+}
+
+function cancelPendingWaits(runId) {
+    getPendingWaits().forEach((waitRunId, cancel) => {
+        if (!runId || waitRunId === runId) {
+            cancel();
+        }
+    });
+}
+
+// Dry run: finds the element(s) a CLICK, TYPE or FILL_FORM step would use, with the same lookups as the real
+// actions, and marks them with a numbered badge. Nothing is clicked, typed or submitted.
+function previewTarget(step) {
+    const planned = step.step && typeof step.step === 'object' ? step.step : {};
+    const badge = String(step.badge || '');
+    if (step.reset) {
+        clearPreviewBadges();
+    }
+
+    const action = String(planned.action || '').toUpperCase();
+    switch (action) {
+        case 'CLICK':
+        case 'TYPE': {
+            const element = action === 'CLICK' ? findClickTarget(planned) : findTypeTarget(planned);
+            if (element) {
+                addPreviewBadge(element, badge);
+            }
+            return {
+                detail: element ? `Would ${action.toLowerCase()} ${describePreviewElement(element)}.` : `No element found for ${action}.`,
+                data: { matched: Boolean(element), element: element ? describePreviewElement(element) : null }
+            };
+        }
+        case 'FILL_FORM': {
+            const specs = Array.isArray(planned.fields) ? planned.fields : [];
+            const matchedElements = [];
+            const fields = specs.map((fieldSpec, index) => {
+                const element = findFieldElement(fieldSpec);
+                if (element) {
+                    matchedElements.push(element);
+                    addPreviewBadge(element, `${badge}.${index + 1}`);
+                }
+                return {
+                    field: describeFieldSpec(fieldSpec),
+                    matched: Boolean(element),
+                    element: element ? describePreviewElement(element) : null
+                };
+            });
+
+            let submit = null;
+            if (planned.submit) {
+                const submitTarget = findSubmitTarget(matchedElements, planned.submitSelector);
+                const submitElement = submitTarget.element || submitTarget.form || null;
+                if (submitElement) {
+                    addPreviewBadge(submitElement, `${badge} submit`);
+                }
+                submit = { method: submitTarget.method, element: submitElement ? describePreviewElement(submitElement) : null };
+            }
+
+            const matchedCount = fields.filter(field => field.matched).length;
+            return {
+                detail: `Found ${matchedCount}/${fields.length} field(s)${submit ? `; would submit via ${submit.method}` : ''}.`,
+                data: { matched: matchedCount === fields.length && fields.length > 0, fields, submit }
+            };
+        }
+        default:
+            throw new Error(`PREVIEW_TARGET does not support ${action || 'this step'}.`);
+    }
+}
+
+function describePreviewElement(element) {
+    const text = getElementDisplayText(element).slice(0, 40);
+    return `${getElementSelector(element)}${text ? ` "${text}"` : ''}`;
+}
+
+function addPreviewBadge(element, label) {
+    element.scrollIntoView({ block: 'center' });
+    const rect = element.getBoundingClientRect();
+
+    if (!element.dataset.rithconPreview) {
+        element.dataset.rithconPrevOutline = element.style.outline || '';
+        element.dataset.rithconPrevOffset = element.style.outlineOffset || '';
+        element.dataset.rithconPreview = 'true';
+    }
+    element.style.outline = '2px dashed #ff9f1c';
+    element.style.outlineOffset = '2px';
+
+    const badgeEl = document.createElement('div');
+    badgeEl.dataset.rithconPreviewBadge = 'true';
+    badgeEl.textContent = label;
+    badgeEl.style.cssText = [
+        'position:absolute',
+        `left:${Math.max(0, rect.left + window.scrollX - 6)}px`,
+        `top:${Math.max(0, rect.top + window.scrollY - 10)}px`,
+        'z-index:2147483647',
+        'background:#ff9f1c',
+        'color:#1a1a1a',
+        'font:bold 11px/16px sans-serif',
+        'padding:0 6px',
+        'border-radius:8px',
+        'pointer-events:none'
+    ].join(';');
+    document.body.appendChild(badgeEl);
+
+    // Badges clear themselves; a new dry run clears them earlier.
+    clearTimeout(window.__rithconPreviewTimer);
+    window.__rithconPreviewTimer = setTimeout(clearPreviewBadges, 20000);
+}
+
+function clearPreviewBadges() {
+    document.querySelectorAll('[data-rithcon-preview-badge]').forEach(badgeEl => badgeEl.remove());
+    document.querySelectorAll('[data-rithcon-preview]').forEach(element => {
+        element.style.outline = element.dataset.rithconPrevOutline || '';
+        element.style.outlineOffset = element.dataset.rithconPrevOffset || '';
+        delete element.dataset.rithconPrevOutline;
+        delete element.dataset.rithconPrevOffset;
+        delete element.dataset.rithconPreview;
+    });
+}
+
 function visualizePage() {
     const candidates = Array.from(document.querySelectorAll('form, input, textarea, select, button, a[href], [role="button"]'))
         .filter(isElementVisible)
@@ -390,11 +1035,22 @@ function isFillableField(element) {
 }
 
 function submitFilledForm(filledElements, submitSelector) {
+    const submitTarget = findSubmitTarget(filledElements, submitSelector);
+    if (submitTarget.element) {
+        triggerClick(submitTarget.element);
+    } else if (submitTarget.method === 'requestSubmit') {
+        submitTarget.form.requestSubmit();
+    }
+    return submitTarget.method;
+}
+
+// Decides how a filled form would be submitted: { method, element } for a button to click, or
+// { method: 'requestSubmit', form }.
+function findSubmitTarget(filledElements, submitSelector) {
     if (typeof submitSelector === 'string' && submitSelector.trim()) {
         const submitElement = document.querySelector(submitSelector.trim());
         if (submitElement && isElementVisible(submitElement)) {
-            triggerClick(submitElement);
-            return 'submitSelector';
+            return { method: 'submitSelector', element: submitElement };
         }
     }
 
@@ -402,29 +1058,25 @@ function submitFilledForm(filledElements, submitSelector) {
     if (form) {
         const submitButton = form.querySelector('button[type="submit"], input[type="submit"], button:not([type])');
         if (submitButton && isElementVisible(submitButton)) {
-            triggerClick(submitButton);
-            return 'formSubmitButton';
+            return { method: 'formSubmitButton', element: submitButton };
         }
 
         if (typeof form.requestSubmit === 'function') {
-            form.requestSubmit();
-            return 'requestSubmit';
+            return { method: 'requestSubmit', form };
         }
 
         const semanticButton = findSemanticSubmitButton(form);
         if (semanticButton) {
-            triggerClick(semanticButton);
-            return 'semanticButtonInForm';
+            return { method: 'semanticButtonInForm', element: semanticButton };
         }
     }
 
     const globalSemanticButton = findSemanticSubmitButton(document);
     if (globalSemanticButton) {
-        triggerClick(globalSemanticButton);
-        return 'semanticButtonGlobal';
+        return { method: 'semanticButtonGlobal', element: globalSemanticButton };
     }
 
-    return 'none';
+    return { method: 'none' };
 }
 
 function findSemanticSubmitButton(root) {
@@ -498,6 +1150,23 @@ function findClickableByText(text) {
     }) || null;
 }
 
+// Clickable elements first, then the smallest visible element whose own text contains the target.
+function findElementByText(text) {
+    const clickable = findClickableByText(text);
+    if (clickable) {
+        return clickable;
+    }
+
+    const normalizedTarget = normalizeText(text);
+    if (!normalizedTarget) {
+        return null;
+    }
+    const matches = Array.from(document.querySelectorAll('body *'))
+        .filter(element => element.children.length === 0 || element.childElementCount < 3)
+        .filter(element => normalizeText(element.textContent).includes(normalizedTarget) && isElementVisible(element));
+    return matches.sort((a, b) => (a.textContent || '').length - (b.textContent || '').length)[0] || null;
+}
+
 function getElementLabelText(element) {
     if (!element) return '';
 
@@ -0,0 +1,25 @@
+// number-text.js reads numbers written for people, such as "$1,299.00", "12,50 €" or "1.299,00". background.js
+// injects it into tabs ahead of content.js, the side panel loads it before agent.js, and Node's test runner loads
+// it as a module, so page-read and model-read values are parsed the same way.
+
+// Reads the first number in the text. A comma followed by exactly two digits is a decimal comma; other commas
+// group thousands.
+function parseNumberText(text) {
+    const match = String(text || '').match(/-?\d[\d.,]*/);
+    if (!match) {
+        return null;
+    }
+    let raw = match[0].replace(/[.,]$/, '');
+    const lastComma = raw.lastIndexOf(',');
+    if (lastComma > raw.lastIndexOf('.') && raw.length - lastComma === 3) {
+        raw = raw.replace(/\./g, '').replace(',', '.');
+    } else {
+        raw = raw.replace(/,/g, '');
+    }
+    const value = Number(raw);
+    return Number.isFinite(value) ? value : null;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parseNumberText };
+}
@@ -9,6 +9,14 @@ const agentStatusText = document.getElementById('agent-status-text');
 
 // Settings Elements
 const settingsBtn = document.getElementById('settings-btn');
+const profileSwitcher = document.getElementById('profile-switcher');
+const profileSelect = document.getElementById('profile-select');
+const profileNameInput = document.getElementById('profile-name-input');
+const newProfileBtn = document.getElementById('new-profile-btn');
+const deleteProfileBtn = document.getElementById('delete-profile-btn');
+const chatProfileSelect = document.getElementById('chat-profile-select');
+const plannerProfileSelect = document.getElementById('planner-profile-select');
+const classifierProfileSelect = document.getElementById('classifier-profile-select');
 const closeSettingsBtn = document.getElementById('close-settings-btn');
 const settingsOverlay = document.getElementById('settings-overlay');
 const saveSettingsBtn = document.getElementById('save-settings-btn');
@@ -16,30 +24,102 @@ const providerCards = document.querySelectorAll('.provider-card');
 const customProviderBtn = document.getElementById('custom-provider-btn');
 const baseUrlGroup = document.getElementById('base-url-group');
 const baseUrlInput = document.getElementById('base-url-input');
+const baseUrlLabel = document.getElementById('base-url-label');
 const modelInput = document.getElementById('model-input');
+const modelLabel = document.getElementById('model-label');
 const apiKeyInput = document.getElementById('api-key-input');
+const apiKeyLabel = document.getElementById('api-key-label');
+const apiVersionGroup = document.getElementById('api-version-group');
+const apiVersionInput = document.getElementById('api-version-input');
+const awsConfigGroup = document.getElementById('aws-config-group');
+const awsSecretInput = document.getElementById('aws-secret-input');
+const awsSessionTokenInput = document.getElementById('aws-session-token-input');
+const awsRegionInput = document.getElementById('aws-region-input');
 const saveStatus = document.getElementById('save-status');
 const serviceYoutube = document.getElementById('service-youtube');
 const serviceGoogle = document.getElementById('service-google');
+const visionToggle = document.getElementById('vision-toggle');
+const precisePlanningToggle = document.getElementById('precise-planning-toggle');
+const iterativeToggle = document.getElementById('iterative-toggle');
+const reviewPlanToggle = document.getElementById('review-plan-toggle');
+const dryRunToggle = document.getElementById('dry-run-toggle');
+const temperatureInput = document.getElementById('temperature-input');
+const maxTokensInput = document.getElementById('max-tokens-input');
+const topPInput = document.getElementById('top-p-input');
+const seedInput = document.getElementById('seed-input');
+const stopInput = document.getElementById('stop-input');
+const fetchModelsBtn = document.getElementById('fetch-models-btn');
+const modelOptions = document.getElementById('model-options');
+const modelDetails = document.getElementById('model-details');
+const testConnectionBtn = document.getElementById('test-connection-btn');
+const connectionStatus = document.getElementById('connection-status');
 const selectedProviderLabel = document.getElementById('selected-provider-label');
 const toggleTemplatesBtn = document.getElementById('toggle-templates-btn');
+const failoverList = document.getElementById('failover-list');
+const addFailoverBtn = document.getElementById('add-failover-btn');
 const providerGrid = document.getElementById('provider-grid');
+const usageSummary = document.getElementById('usage-summary');
+const dailyBudgetInput = document.getElementById('daily-budget-input');
+const replayRecordingToggle = document.getElementById('replay-recording-toggle');
+const replaySummary = document.getElementById('replay-summary');
+const exportFixturesBtn = document.getElementById('export-fixtures-btn');
+const importFixturesBtn = document.getElementById('import-fixtures-btn');
+const importFixturesInput = document.getElementById('import-fixtures-input');
+const clearFixturesBtn = document.getElementById('clear-fixtures-btn');
 
 // State
 let isAgentMode = false;
 let isProcessing = false;
 let stopRequested = false;
-let apiKey = '';
-let model = '';
+// Provider picked in the settings form for the profile being edited.
 let provider = 'gemini';
-let baseUrl = '';
+// Saved profiles, used by every request. The settings form edits draftProfiles, a copy that Save commits.
+let profiles = [];
+let draftProfiles = [];
+// Profile ids used by chat mode, the agent planner and the identity classifier (empty classifier = same as chat).
+let roleProfileIds = { chat: '', planner: '', classifier: '' };
+let editingProfileId = '';
+let failoverProfileIds = [];
+let visionEnabled = false;
+let precisePlanning = true;
+let iterativeAgent = false;
+let reviewPlans = false;
+let dryRun = false;
+let fetchedModels = [];
 let currentAbortController = null;
 let currentRunId = null;
 let activePlaceholderMsg = null;
 let pendingApprovalResolver = null;
 const BRAND_IDENTITY_RESPONSE = "I'm rithcon Browser AI Agent extension. I help users operate, analyze, and automate websites in chat and agent mode. Made by awmrit.com.";
 const chatHistory = [];
-const MAX_CHAT_HISTORY_MESSAGES = 18;
+// Memory guard only; what is sent to the model is decided by the token budget in buildChatHistoryForModel.
+const MAX_STORED_CHAT_MESSAGES = 200;
+// Fields the plan review card lets the user edit, per action. agent.js re-validates every edited step.
+const PLAN_REVIEW_FIELDS = {
+    NAVIGATE: ['url'],
+    OPEN_TAB: ['url'],
+    SWITCH_TAB: ['tabId'],
+    GOOGLE_SEARCH: ['query'],
+    SEARCH_YOUTUBE: ['query'],
+    PLAY_MEDIA: [],
+    CLICK: ['selector', 'text'],
+    TYPE: ['selector', 'text'],
+    FILL_FORM: ['submitSelector'],
+    SCROLL: ['direction', 'amount', 'selector', 'text'],
+    HOVER: ['selector', 'text'],
+    PRESS_KEY: ['key', 'selector'],
+    SELECT_OPTION: ['option', 'selector', 'label'],
+    ANALYZE_PAGE: [],
+    VISUALIZE_PAGE: [],
+    SCRAPE_PAGE: ['maxChars'],
+    EXTRACT_STRUCTURED: ['itemSelector', 'maxRecords'],
+    WAIT: ['ms'],
+    WAIT_FOR: ['selector', 'text', 'pattern', 'timeoutMs'],
+    REPLY: ['message']
+};
+const NUMERIC_PLAN_FIELDS = new Set(['tabId', 'ms', 'maxChars', 'maxRecords', 'amount', 'timeoutMs']);
+// Single-configuration keys written before named profiles existed; migrated once into a profile.
+const LEGACY_PROFILE_KEYS = ['apiKey', 'model', 'provider', 'baseUrl', 'providerConfig'];
 
 const providerNames = {
     openai: 'OpenAI',
@@ -51,6 +131,7 @@ const providerNames = {
     'lm-studio': 'LM Studio',
     azure: 'Azure',
     'aws-bedrock': 'AWS Bedrock',
+    replay: 'Replay',
     custom: 'Custom Provider'
 };
 
@@ -63,11 +144,24 @@ const defaultModels = {
     openrouter: '',
     'lm-studio': '',
     azure: '',
-    'aws-bedrock': '',
+    'aws-bedrock': 'anthropic.claude-3-haiku-20240307-v1:0',
+    replay: '',
     custom: ''
 };
 
-const requiresBaseUrl = ['openai-compatible', 'ollama', 'lm-studio', 'custom'];
+const requiresBaseUrl = ['openai-compatible', 'ollama', 'lm-studio', 'azure', 'aws-bedrock', 'custom'];
+
+const baseUrlPlaceholders = {
+    ollama: 'e.g. http://localhost:11434 (or .../v1 for OpenAI-compatible mode)',
+    'lm-studio': 'e.g. http://localhost:1234/v1',
+    azure: 'e.g. https://my-resource.openai.azure.com',
+    'aws-bedrock': 'Leave empty to use bedrock-runtime.<region>.amazonaws.com'
+};
+
+const providerFieldLabels = {
+    azure: { baseUrl: 'Resource Endpoint', model: 'Deployment Name', apiKey: 'API Key' },
+    'aws-bedrock': { baseUrl: 'Endpoint Override (optional)', model: 'Model ID', apiKey: 'Access Key ID' }
+};
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
@@ -90,7 +184,18 @@ document.addEventListener('DOMContentLoaded', () => {
         updateModeUI();
     });
 
-    settingsBtn.addEventListener('click', () => settingsOverlay.classList.remove('hidden'));
+    profileSwitcher.addEventListener('change', () => {
+        roleProfileIds = { ...roleProfileIds, [getCurrentRole()]: profileSwitcher.value };
+        chrome.storage.local.set({ roleProfiles: roleProfileIds });
+        renderProfileControls();
+    });
+
+    settingsBtn.addEventListener('click', () => {
+        settingsOverlay.classList.remove('hidden');
+        renderUsageSummary();
+        renderReplaySummary();
+        renderStoredProviderHealth();
+    });
     closeSettingsBtn.addEventListener('click', () => settingsOverlay.classList.add('hidden'));
     saveSettingsBtn.addEventListener('click', saveSettings);
 
@@ -106,7 +211,27 @@ document.addEventListener('DOMContentLoaded', () => {
 
     modelInput.addEventListener('input', () => {
         modelInput.dataset.isDefault = 'false';
+        renderModelDetails();
+    });
+
+    fetchModelsBtn.addEventListener('click', fetchModelList);
+    testConnectionBtn.addEventListener('click', testConnection);
+
+    profileSelect.addEventListener('change', () => {
+        storeProfileForm();
+        editingProfileId = profileSelect.value;
+        fillProfileForm(getDraftProfile(editingProfileId));
+        renderProfileControls();
     });
+    newProfileBtn.addEventListener('click', createNewProfile);
+    deleteProfileBtn.addEventListener('click', deleteEditingProfile);
+
+    addFailoverBtn.addEventListener('click', addEditingProfileAsFailover);
+
+    exportFixturesBtn.addEventListener('click', exportReplayFixtureFile);
+    importFixturesBtn.addEventListener('click', () => importFixturesInput.click());
+    importFixturesInput.addEventListener('change', importReplayFixtureFile);
+    clearFixturesBtn.addEventListener('click', clearReplayFixtureStore);
 });
 
 async function handleSendButtonClick() {
@@ -118,6 +243,10 @@ async function handleSendButtonClick() {
 }
 
 function selectProvider(selectedProvider) {
+    if (provider !== selectedProvider) {
+        fetchedModels = [];
+        renderModelOptions();
+    }
     provider = selectedProvider;
 
     providerCards.forEach(card => {
@@ -146,33 +275,60 @@ function selectProvider(selectedProvider) {
         modelInput.dataset.isDefault = 'true';
     }
 
+    const fieldLabels = providerFieldLabels[selectedProvider] || {};
+    baseUrlLabel.textContent = fieldLabels.baseUrl || 'Base URL';
+    modelLabel.textContent = fieldLabels.model || 'Model Name';
+    apiKeyLabel.textContent = fieldLabels.apiKey || 'API Key';
+    apiVersionGroup.style.display = selectedProvider === 'azure' ? 'block' : 'none';
+    awsConfigGroup.style.display = selectedProvider === 'aws-bedrock' ? 'block' : 'none';
+
     if (requiresBaseUrl.includes(selectedProvider)) {
         baseUrlGroup.style.display = 'block';
+        baseUrlInput.placeholder = baseUrlPlaceholders[selectedProvider] || 'e.g. http://localhost:11434/v1';
     } else {
         baseUrlGroup.style.display = 'none';
         baseUrlInput.value = '';
     }
+
+    renderStoredProviderHealth();
 }
 
 function loadSettings() {
-    chrome.storage.local.get(['apiKey', 'model', 'provider', 'baseUrl', 'agentModeEnabled', 'services'], (result) => {
-        if (typeof result.apiKey === 'string') {
-            apiKey = result.apiKey;
-            apiKeyInput.value = result.apiKey;
-        }
-
-        if (typeof result.model === 'string' && result.model) {
-            model = result.model;
-            modelInput.value = result.model;
-            modelInput.dataset.isDefault = 'false';
+    chrome.storage.local.get([
+        'profiles', 'roleProfiles', 'failoverProfiles', ...LEGACY_PROFILE_KEYS,
+        'dailyTokenBudget', 'visionEnabled', 'precisePlanning', 'iterativeAgent', 'reviewPlans', 'dryRun', 'replayRecording', 'agentModeEnabled', 'services'
+    ], (result) => {
+        const profileState = Array.isArray(result.profiles) && result.profiles.length
+            ? result
+            : migrateLegacyProfiles(result);
+
+        profiles = profileState.profiles;
+        draftProfiles = cloneProfiles(profiles);
+        roleProfileIds = { ...roleProfileIds, ...(profileState.roleProfiles || {}) };
+        failoverProfileIds = Array.isArray(profileState.failoverProfiles)
+            ? profileState.failoverProfiles.filter(id => typeof id === 'string')
+            : [];
+
+        editingProfileId = (getProfileForRole('chat') || profiles[0]).id;
+        fillProfileForm(getDraftProfile(editingProfileId));
+        renderProfileControls();
+        renderFailoverList();
+
+        if (Number(result.dailyTokenBudget) > 0) {
+            dailyBudgetInput.value = String(result.dailyTokenBudget);
         }
 
-        if (typeof result.baseUrl === 'string') {
-            baseUrl = result.baseUrl;
-            baseUrlInput.value = result.baseUrl;
-        }
-
-        selectProvider(result.provider || 'gemini');
+        visionEnabled = Boolean(result.visionEnabled);
+        visionToggle.checked = visionEnabled;
+        precisePlanning = result.precisePlanning !== false;
+        precisePlanningToggle.checked = precisePlanning;
+        iterativeAgent = Boolean(result.iterativeAgent);
+        iterativeToggle.checked = iterativeAgent;
+        reviewPlans = Boolean(result.reviewPlans);
+        reviewPlanToggle.checked = reviewPlans;
+        dryRun = Boolean(result.dryRun);
+        dryRunToggle.checked = dryRun;
+        replayRecordingToggle.checked = Boolean(result.replayRecording);
 
         if (result.agentModeEnabled !== undefined) {
             isAgentMode = Boolean(result.agentModeEnabled);
@@ -188,31 +344,509 @@ function loadSettings() {
     });
 }
 
+// Turns the old single configuration (and its inline failover list) into named profiles and stores them.
+function migrateLegacyProfiles(result) {
+    const legacyProvider = typeof result.provider === 'string' && result.provider ? result.provider : 'gemini';
+    const mainProfile = createProfile({
+        name: `${providerNames[legacyProvider] || legacyProvider} (default)`,
+        provider: legacyProvider,
+        apiKey: result.apiKey,
+        model: result.model || defaultModels[legacyProvider],
+        baseUrl: result.baseUrl,
+        providerConfig: result.providerConfig
+    });
+
+    const legacyFailovers = Array.isArray(result.failoverProfiles)
+        ? result.failoverProfiles.filter(entry => entry && typeof entry === 'object' && entry.provider)
+        : [];
+    const failoverProfilesList = legacyFailovers.map((entry, index) => createProfile({
+        ...entry,
+        name: `Failover ${index + 1} (${providerNames[entry.provider] || entry.provider})`
+    }));
+
+    const migrated = {
+        profiles: [mainProfile, ...failoverProfilesList],
+        roleProfiles: { chat: mainProfile.id, planner: mainProfile.id, classifier: '' },
+        failoverProfiles: failoverProfilesList.map(profile => profile.id)
+    };
+
+    chrome.storage.local.set(migrated, () => {
+        chrome.storage.local.remove(LEGACY_PROFILE_KEYS);
+    });
+    return migrated;
+}
+
+function createProfile(fields = {}) {
+    const selectedProvider = fields.provider || 'gemini';
+    return {
+        id: `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+        name: String(fields.name || 'New profile'),
+        provider: selectedProvider,
+        apiKey: String(fields.apiKey || ''),
+        model: String(fields.model || ''),
+        baseUrl: String(fields.baseUrl || ''),
+        providerConfig: fields.providerConfig && typeof fields.providerConfig === 'object' ? { ...fields.providerConfig } : {},
+        generation: fields.generation && typeof fields.generation === 'object' ? { ...fields.generation } : {}
+    };
+}
+
+function getProfileById(profileId) {
+    return profiles.find(profile => profile.id === profileId) || null;
+}
+
+function getDraftProfile(profileId) {
+    return draftProfiles.find(profile => profile.id === profileId) || null;
+}
+
+function cloneProfiles(list) {
+    return JSON.parse(JSON.stringify(list));
+}
+
+function getProfileForRole(role) {
+    const profileId = roleProfileIds[role] || (role === 'classifier' ? roleProfileIds.chat : '');
+    return getProfileById(profileId) || profiles[0] || null;
+}
+
+function getCurrentRole() {
+    return isAgentMode ? 'planner' : 'chat';
+}
+
+function fillProfileForm(profile) {
+    if (!profile) {
+        return;
+    }
+
+    profileNameInput.value = profile.name;
+    apiKeyInput.value = profile.apiKey || '';
+    modelInput.value = profile.model || '';
+    modelInput.dataset.isDefault = profile.model ? 'false' : 'true';
+    baseUrlInput.value = profile.baseUrl || '';
+
+    const config = profile.providerConfig || {};
+    apiVersionInput.value = config.apiVersion || '';
+    awsSecretInput.value = config.secretAccessKey || '';
+    awsSessionTokenInput.value = config.sessionToken || '';
+    awsRegionInput.value = config.region || '';
+
+    const generation = profile.generation || {};
+    temperatureInput.value = generation.temperature ?? '';
+    maxTokensInput.value = generation.maxTokens ?? '';
+    topPInput.value = generation.topP ?? '';
+    seedInput.value = generation.seed ?? '';
+    stopInput.value = Array.isArray(generation.stop) ? generation.stop.join(', ') : '';
+
+    selectProvider(profile.provider || 'gemini');
+}
+
+// Copies the form into the draft profile; Save Configurations commits the drafts and persists them.
+function storeProfileForm() {
+    const profile = getDraftProfile(editingProfileId);
+    if (!profile) {
+        return;
+    }
+
+    Object.assign(profile, {
+        name: profileNameInput.value.trim() || profile.name,
+        provider,
+        apiKey: apiKeyInput.value.trim(),
+        model: modelInput.value.trim(),
+        baseUrl: baseUrlInput.value.trim(),
+        providerConfig: readProviderConfigInputs(),
+        generation: readGenerationInputs()
+    });
+}
+
+function renderProfileControls() {
+    fillProfileOptions(profileSelect, draftProfiles, editingProfileId);
+    fillProfileOptions(profileSwitcher, profiles, (getProfileForRole(getCurrentRole()) || {}).id);
+    fillProfileOptions(chatProfileSelect, draftProfiles, roleProfileIds.chat);
+    fillProfileOptions(plannerProfileSelect, draftProfiles, roleProfileIds.planner);
+    fillProfileOptions(classifierProfileSelect, draftProfiles, roleProfileIds.classifier, 'Same as chat mode');
+
+    profileSwitcher.title = `Profile used in ${isAgentMode ? 'Agent' : 'Chat'} Mode`;
+    // Deleting is saved at once, so the last saved profile stays until another one has been saved.
+    deleteProfileBtn.disabled = draftProfiles.length <= 1 || (profiles.length <= 1 && Boolean(getProfileById(editingProfileId)));
+}
+
+function fillProfileOptions(select, list, selectedId, emptyLabel = '') {
+    select.innerHTML = '';
+    if (emptyLabel) {
+        select.appendChild(new Option(emptyLabel, ''));
+    }
+    list.forEach(profile => {
+        select.appendChild(new Option(profile.name, profile.id));
+    });
+    select.value = list.some(profile => profile.id === selectedId) ? selectedId : (emptyLabel ? '' : (list[0] || {}).id || '');
+}
+
+function createNewProfile() {
+    storeProfileForm();
+    const profile = createProfile({
+        name: `Profile ${draftProfiles.length + 1}`,
+        provider,
+        model: defaultModels[provider]
+    });
+    draftProfiles.push(profile);
+    editingProfileId = profile.id;
+    fillProfileForm(profile);
+    renderProfileControls();
+    profileNameInput.focus();
+}
+
+function deleteEditingProfile() {
+    if (deleteProfileBtn.disabled) {
+        return;
+    }
+
+    const removedId = editingProfileId;
+    profiles = profiles.filter(profile => profile.id !== removedId);
+    draftProfiles = draftProfiles.filter(profile => profile.id !== removedId);
+    Object.keys(roleProfileIds).forEach(role => {
+        if (roleProfileIds[role] === removedId) {
+            roleProfileIds[role] = role === 'classifier' ? '' : profiles[0].id;
+        }
+    });
+    failoverProfileIds = failoverProfileIds.filter(id => id !== removedId);
+    editingProfileId = getProfileForRole('chat').id;
+
+    chrome.storage.local.get('providerHealth', ({ providerHealth }) => {
+        const nextHealth = { ...(providerHealth || {}) };
+        delete nextHealth[removedId];
+        chrome.storage.local.set({
+            profiles,
+            roleProfiles: roleProfileIds,
+            failoverProfiles: failoverProfileIds,
+            providerHealth: nextHealth
+        });
+    });
+
+    fillProfileForm(getDraftProfile(editingProfileId));
+    renderProfileControls();
+    renderFailoverList();
+}
+
 function saveSettings() {
-    const newApiKey = apiKeyInput.value.trim();
-    const newModel = modelInput.value.trim();
-    const newBaseUrl = baseUrlInput.value.trim();
+    storeProfileForm();
+    profiles = cloneProfiles(draftProfiles);
+    roleProfileIds = {
+        chat: chatProfileSelect.value,
+        planner: plannerProfileSelect.value,
+        classifier: classifierProfileSelect.value
+    };
+    const dailyTokenBudget = Math.max(0, Math.floor(Number(dailyBudgetInput.value) || 0));
 
     chrome.storage.local.set({
-        apiKey: newApiKey,
-        model: newModel,
-        provider,
-        baseUrl: newBaseUrl,
+        profiles,
+        roleProfiles: roleProfileIds,
+        failoverProfiles: failoverProfileIds,
+        dailyTokenBudget,
+        visionEnabled: visionToggle.checked,
+        precisePlanning: precisePlanningToggle.checked,
+        iterativeAgent: iterativeToggle.checked,
+        reviewPlans: reviewPlanToggle.checked,
+        dryRun: dryRunToggle.checked,
+        replayRecording: replayRecordingToggle.checked,
         agentModeEnabled: isAgentMode,
         services: {
             youtube: serviceYoutube.checked,
             google: serviceGoogle.checked
         }
     }, () => {
-        apiKey = newApiKey;
-        model = newModel;
-        baseUrl = newBaseUrl;
+        visionEnabled = visionToggle.checked;
+        precisePlanning = precisePlanningToggle.checked;
+        iterativeAgent = iterativeToggle.checked;
+        reviewPlans = reviewPlanToggle.checked;
+        dryRun = dryRunToggle.checked;
+        dailyBudgetInput.value = dailyTokenBudget ? String(dailyTokenBudget) : '';
+        renderProfileControls();
+        renderFailoverList();
+        renderUsageSummary();
 
         saveStatus.classList.remove('hidden');
         setTimeout(() => saveStatus.classList.add('hidden'), 2500);
     });
 }
 
+async function renderUsageSummary() {
+    const usage = await window.getDailyUsage();
+    if (!usage || !usage.totals.requests) {
+        usageSummary.textContent = 'No requests recorded today.';
+        return;
+    }
+
+    const { totals, dailyTokenBudget } = usage;
+    const usedTokens = totals.promptTokens + totals.completionTokens;
+    const budgetText = dailyTokenBudget ? ` of ${dailyTokenBudget.toLocaleString()}` : '';
+    usageSummary.textContent = `Today: ${totals.requests} request(s), ${usedTokens.toLocaleString()}${budgetText} tokens `
+        + `(${totals.promptTokens.toLocaleString()} in / ${totals.completionTokens.toLocaleString()} out), ~$${totals.costUsd.toFixed(4)}.`;
+}
+
+async function renderReplaySummary() {
+    const count = await window.getReplayFixtureCount();
+    replaySummary.textContent = count
+        ? `${count} fixture(s) stored. The Replay provider answers only requests that match one exactly.`
+        : 'No fixtures recorded.';
+    exportFixturesBtn.disabled = !count;
+    clearFixturesBtn.disabled = !count;
+}
+
+async function exportReplayFixtureFile() {
+    const data = await window.exportReplayFixtures();
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `rithcon-fixtures-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+async function importReplayFixtureFile() {
+    const file = importFixturesInput.files && importFixturesInput.files[0];
+    importFixturesInput.value = '';
+    if (!file) {
+        return;
+    }
+
+    try {
+        const imported = await window.importReplayFixtures(JSON.parse(await file.text()));
+        await renderReplaySummary();
+        replaySummary.textContent = `Imported ${imported} fixture(s). ${replaySummary.textContent}`;
+    } catch (error) {
+        replaySummary.textContent = `Import failed: ${error.message}`;
+    }
+}
+
+async function clearReplayFixtureStore() {
+    await window.clearReplayFixtures();
+    await renderReplaySummary();
+}
+
+async function fetchModelList() {
+    if (typeof window.listProviderModels !== 'function') {
+        return;
+    }
+
+    fetchModelsBtn.disabled = true;
+    fetchModelsBtn.textContent = 'Fetching...';
+    showModelDetails(`Loading models from ${providerNames[provider] || provider}...`);
+
+    try {
+        fetchedModels = await window.listProviderModels(provider, apiKeyInput.value.trim(), baseUrlInput.value.trim());
+        renderModelOptions();
+        // renderModelOptions hides the details line for an empty list, so the message re-shows it.
+        showModelDetails(fetchedModels.length
+            ? `${fetchedModels.length} model(s) available. Type in the model field to search.`
+            : 'The provider returned no models.');
+        renderModelDetails();
+    } catch (error) {
+        fetchedModels = [];
+        renderModelOptions();
+        showModelDetails(`Could not fetch models: ${error.message}`);
+    } finally {
+        fetchModelsBtn.disabled = false;
+        fetchModelsBtn.textContent = 'Fetch models';
+    }
+}
+
+function renderModelOptions() {
+    modelOptions.innerHTML = '';
+    fetchedModels.forEach(entry => {
+        const option = document.createElement('option');
+        option.value = entry.id;
+        option.label = [entry.name !== entry.id ? entry.name : '', formatModelCapabilities(entry)]
+            .filter(Boolean)
+            .join(' - ');
+        modelOptions.appendChild(option);
+    });
+
+    if (!fetchedModels.length) {
+        modelDetails.classList.add('hidden');
+    }
+}
+
+// Shows what the provider reported about the chosen model, if it is in the fetched list.
+function renderModelDetails() {
+    const entry = fetchedModels.find(candidate => candidate.id === modelInput.value.trim());
+    if (!entry) {
+        return;
+    }
+
+    const capabilities = formatModelCapabilities(entry);
+    showModelDetails(`${entry.name}${capabilities ? ` - ${capabilities}` : ''}`);
+}
+
+function showModelDetails(text) {
+    modelDetails.textContent = text;
+    modelDetails.classList.remove('hidden');
+}
+
+function formatModelCapabilities(entry) {
+    const badges = [];
+    if (entry.contextWindow) {
+        badges.push(entry.contextWindow >= 1000000
+            ? `${Math.round(entry.contextWindow / 100000) / 10}M context`
+            : `${Math.round(entry.contextWindow / 1000)}k context`);
+    }
+    if (entry.vision) {
+        badges.push('vision');
+    }
+    if (entry.tools) {
+        badges.push('tools');
+    }
+    return badges.join(', ');
+}
+
+// Sends the smallest possible request with the values currently in the form, saved or not.
+// The result is remembered as the health of the profile being edited.
+async function testConnection() {
+    const profileId = editingProfileId;
+    const config = {
+        provider,
+        apiKey: apiKeyInput.value.trim(),
+        model: modelInput.value.trim(),
+        baseUrl: baseUrlInput.value.trim(),
+        providerConfig: readProviderConfigInputs(),
+        generation: readGenerationInputs()
+    };
+
+    testConnectionBtn.disabled = true;
+    testConnectionBtn.textContent = 'Testing...';
+    connectionStatus.classList.remove('hidden', 'ok', 'error');
+    connectionStatus.textContent = `Contacting ${providerNames[provider] || provider}...`;
+
+    const startedAt = performance.now();
+    let health;
+    try {
+        await window.generateChatResponse('Reply with the single word OK.', config.apiKey, config.provider, config.model, config.baseUrl, {
+            providerConfig: config.providerConfig,
+            generation: config.generation,
+            retry: { maxRetries: 0 }
+        });
+        health = { ok: true, category: 'ok', message: 'Connection works.' };
+    } catch (error) {
+        health = { ok: false, ...window.diagnoseProviderError(error, config) };
+    }
+    health.latencyMs = Math.round(performance.now() - startedAt);
+    health.checkedAt = Date.now();
+
+    renderConnectionStatus(health);
+    testConnectionBtn.disabled = false;
+    testConnectionBtn.textContent = 'Test connection';
+
+    const { providerHealth } = await chrome.storage.local.get('providerHealth');
+    await chrome.storage.local.set({
+        providerHealth: { ...(providerHealth || {}), [profileId]: health }
+    });
+}
+
+async function renderStoredProviderHealth() {
+    const { providerHealth } = await chrome.storage.local.get('providerHealth');
+    const health = providerHealth && providerHealth[editingProfileId];
+    if (!health) {
+        connectionStatus.classList.add('hidden');
+        return;
+    }
+    renderConnectionStatus(health, `Last checked ${new Date(health.checkedAt).toLocaleString()}: `);
+}
+
+function renderConnectionStatus(health, prefix = '') {
+    connectionStatus.classList.remove('hidden', 'ok', 'error');
+    connectionStatus.classList.add(health.ok ? 'ok' : 'error');
+    connectionStatus.textContent = `${prefix}${health.ok ? 'Connected' : 'Failed'} in ${health.latencyMs} ms. ${health.message}`;
+}
+
+// Empty inputs are left out so the provider default applies.
+function readGenerationInputs() {
+    const generation = {};
+    const numberFields = [
+        ['temperature', temperatureInput],
+        ['maxTokens', maxTokensInput],
+        ['topP', topPInput],
+        ['seed', seedInput]
+    ];
+    numberFields.forEach(([key, input]) => {
+        const value = input.value.trim();
+        if (value !== '' && Number.isFinite(Number(value))) {
+            generation[key] = Number(value);
+        }
+    });
+
+    const stop = stopInput.value.split(',').map(sequence => sequence.trim()).filter(Boolean);
+    if (stop.length) {
+        generation.stop = stop.slice(0, 4);
+    }
+    return generation;
+}
+
+function readProviderConfigInputs() {
+    return {
+        apiVersion: apiVersionInput.value.trim(),
+        secretAccessKey: awsSecretInput.value.trim(),
+        sessionToken: awsSessionTokenInput.value.trim(),
+        region: awsRegionInput.value.trim()
+    };
+}
+
+function addEditingProfileAsFailover() {
+    storeProfileForm();
+    if (!editingProfileId || failoverProfileIds.includes(editingProfileId)) {
+        return;
+    }
+
+    saveFailoverProfiles([...failoverProfileIds, editingProfileId]);
+}
+
+function saveFailoverProfiles(nextProfileIds) {
+    chrome.storage.local.set({ failoverProfiles: nextProfileIds }, () => {
+        failoverProfileIds = nextProfileIds;
+        renderFailoverList();
+    });
+}
+
+function renderFailoverList() {
+    failoverList.innerHTML = '';
+
+    const failoverEntries = failoverProfileIds
+        .map(profileId => getDraftProfile(profileId))
+        .filter(Boolean);
+
+    if (!failoverEntries.length) {
+        const empty = document.createElement('li');
+        empty.className = 'section-hint';
+        empty.textContent = 'No failover profiles configured.';
+        failoverList.appendChild(empty);
+        return;
+    }
+
+    failoverEntries.forEach((profile, index) => {
+        const item = document.createElement('li');
+        item.className = 'failover-item';
+
+        const label = document.createElement('span');
+        label.textContent = `${index + 1}. ${profile.name} (${providerNames[profile.provider] || profile.provider}${profile.model ? ` · ${profile.model}` : ''})`;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'remove-btn';
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => {
+            saveFailoverProfiles(failoverProfileIds.filter(profileId => profileId !== profile.id));
+        });
+
+        item.appendChild(label);
+        item.appendChild(removeBtn);
+        failoverList.appendChild(item);
+    });
+}
+
+// Failover candidates for a role, skipping the profile that is already primary.
+function getFailoverProfilesFor(primaryProfile) {
+    return failoverProfileIds
+        .filter(profileId => profileId !== primaryProfile.id)
+        .map(profileId => getProfileById(profileId))
+        .filter(Boolean);
+}
+
 function updateModeUI() {
     const [chatLabel, agentLabel] = modeLabels;
     if (isAgentMode) {
@@ -227,6 +861,10 @@ function updateModeUI() {
         document.body.classList.add('chat-mode-active');
         agentStatusBar.classList.add('hidden');
     }
+
+    if (profiles.length) {
+        renderProfileControls();
+    }
 }
 
 function updateProcessingUI(processing) {
@@ -236,6 +874,7 @@ function updateProcessingUI(processing) {
 
     settingsBtn.disabled = processing;
     agentModeToggle.disabled = processing;
+    profileSwitcher.disabled = processing;
 
     if (!processing) {
         activePlaceholderMsg = null;
@@ -284,7 +923,8 @@ async function handleSendMessage() {
         ? await getBrandedIdentityResponse(text)
         : '';
 
-    if (!localChatResponse && requiresApiKey(provider) && !apiKey) {
+    const activeProfile = getProfileForRole(getCurrentRole());
+    if (!localChatResponse && (!activeProfile || (requiresApiKey(activeProfile.provider) && !activeProfile.apiKey))) {
         appendMessage('Please configure your API key in settings first.', 'system-msg');
         return;
     }
@@ -302,6 +942,14 @@ async function handleSendMessage() {
         return;
     }
 
+    let macroRun = null;
+    if (isAgentMode && isMacroCommand(text, await loadMacros())) {
+        macroRun = await resolveMacroCommand(text);
+        if (!macroRun) {
+            return;
+        }
+    }
+
     currentAbortController = new AbortController();
     currentRunId = isAgentMode ? `run-${Date.now()}` : null;
     stopRequested = false;
@@ -316,8 +964,18 @@ async function handleSendMessage() {
                 throw new Error('Agent logic is not loaded.');
             }
 
-            await window.processAgentCommand(text, apiKey, provider, model, baseUrl, {
+            // A macro runs with the prompt it was saved from, so risk checks see the same intent as the original run.
+            await window.processAgentCommand(macroRun ? macroRun.prompt : text, activeProfile.apiKey, activeProfile.provider, activeProfile.model, activeProfile.baseUrl, {
                 runId: currentRunId,
+                macro: macroRun,
+                providerConfig: activeProfile.providerConfig,
+                generation: activeProfile.generation,
+                precisePlanning,
+                iterative: iterativeAgent,
+                reviewPlan: reviewPlans,
+                dryRun,
+                failoverProfiles: getFailoverProfilesFor(activeProfile),
+                visionEnabled,
                 signal: currentAbortController.signal,
                 shouldStop: () => stopRequested || currentAbortController.signal.aborted
             });
@@ -327,13 +985,25 @@ async function handleSendMessage() {
             }
 
             activePlaceholderMsg = appendMessage('...', 'bot-msg');
+            const placeholderContent = activePlaceholderMsg.querySelector('.msg-content');
             const responseText = await window.generateChatResponse(
-                buildChatHistoryForModel(),
-                apiKey,
-                provider,
-                model,
-                baseUrl,
-                { signal: currentAbortController.signal }
+                buildChatHistoryForModel(activeProfile),
+                activeProfile.apiKey,
+                activeProfile.provider,
+                activeProfile.model,
+                activeProfile.baseUrl,
+                {
+                    signal: currentAbortController.signal,
+                    providerConfig: activeProfile.providerConfig,
+                    generation: activeProfile.generation,
+                    onDelta: (_delta, fullText) => {
+                        if (stopRequested) {
+                            return;
+                        }
+                        placeholderContent.textContent = fullText;
+                        chatContainer.scrollTop = chatContainer.scrollHeight;
+                    }
+                }
             );
             activePlaceholderMsg.querySelector('.msg-content').textContent = responseText;
             pushChatMessage('assistant', responseText);
@@ -371,13 +1041,16 @@ function pushChatMessage(role, content) {
     }
 
     chatHistory.push({ role: normalizedRole, content: normalizedContent });
-    if (chatHistory.length > MAX_CHAT_HISTORY_MESSAGES) {
-        chatHistory.splice(0, chatHistory.length - MAX_CHAT_HISTORY_MESSAGES);
+    if (chatHistory.length > MAX_STORED_CHAT_MESSAGES) {
+        chatHistory.splice(0, chatHistory.length - MAX_STORED_CHAT_MESSAGES);
     }
 }
 
-function buildChatHistoryForModel() {
-    return chatHistory.slice(-MAX_CHAT_HISTORY_MESSAGES);
+function buildChatHistoryForModel(profile) {
+    if (typeof window.fitMessagesToBudget !== 'function') {
+        return chatHistory.slice();
+    }
+    return window.fitMessagesToBudget(chatHistory, { provider: profile.provider, model: profile.model });
 }
 
 async function getBrandedIdentityResponse(text) {
@@ -386,7 +1059,8 @@ async function getBrandedIdentityResponse(text) {
         return local;
     }
 
-    if (!apiKey || typeof window.generateChatResponse !== 'function') {
+    const classifierProfile = getProfileForRole('classifier');
+    if (!classifierProfile || !classifierProfile.apiKey || typeof window.generateChatResponse !== 'function') {
         return '';
     }
 
@@ -405,10 +1079,11 @@ async function getBrandedIdentityResponse(text) {
 
         const raw = await window.generateChatResponse(
             classifierPrompt,
-            apiKey,
-            provider,
-            model,
-            baseUrl
+            classifierProfile.apiKey,
+            classifierProfile.provider,
+            classifierProfile.model,
+            classifierProfile.baseUrl,
+            { providerConfig: classifierProfile.providerConfig, generation: classifierProfile.generation }
         );
 
         if (isRelatedByClassifier(raw)) {
@@ -593,6 +1268,340 @@ window.requestActionApproval = function (step, riskInfo = {}) {
     });
 };
 
+// Global utility for agent.js: shows the plan as an editable list and resolves to { approved, plan } once the
+// user presses Run (approved with the edited steps) or Cancel. Stop also cancels the review. options.authPrompt
+// masks every TYPE value, not just those aimed at password-like fields.
+window.requestPlanReview = function (plan, options = {}) {
+    if (!isProcessing || stopRequested) {
+        return Promise.resolve({ approved: false, reason: 'not-running' });
+    }
+
+    const steps = plan.map(step => JSON.parse(JSON.stringify(step)));
+
+    return new Promise((resolve) => {
+        const { list, addSelect, addBtn, runBtn, cancelBtn } = appendPlanReviewCard();
+        let settled = false;
+
+        const render = () => {
+            list.innerHTML = '';
+            steps.forEach((step, index) => list.appendChild(buildPlanReviewRow(step, index, steps, render, options)));
+            runBtn.disabled = !steps.length;
+        };
+
+        const finish = (result) => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            pendingApprovalResolver = null;
+            list.querySelectorAll('input, button, select').forEach(control => {
+                control.disabled = true;
+            });
+            [addSelect, addBtn, runBtn, cancelBtn].forEach(control => {
+                control.disabled = true;
+            });
+            window.appendActionLog(result.approved ? `Plan approved with ${steps.length} step(s)` : `Plan review ${result.reason || 'canceled'}`);
+            resolve(result);
+        };
+
+        pendingApprovalResolver = finish;
+
+        addBtn.addEventListener('click', () => {
+            steps.push({ action: addSelect.value });
+            render();
+        });
+        runBtn.addEventListener('click', () => finish({ approved: true, plan: steps }));
+        cancelBtn.addEventListener('click', () => finish({ approved: false, reason: 'canceled' }));
+
+        render();
+    });
+};
+
+function appendPlanReviewCard() {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'message approval-msg plan-review-msg';
+
+    const header = document.createElement('div');
+    header.className = 'approval-title';
+    header.textContent = 'Review plan';
+
+    const hint = document.createElement('div');
+    hint.className = 'approval-reasons';
+    hint.textContent = 'Reorder, edit or remove steps, then press Run. Invalid steps are dropped when the plan is checked again.';
+
+    const list = document.createElement('ol');
+    list.className = 'plan-review-list';
+
+    const addRow = document.createElement('div');
+    addRow.className = 'plan-review-add';
+    const addSelect = document.createElement('select');
+    Object.keys(PLAN_REVIEW_FIELDS).forEach(action => addSelect.appendChild(new Option(action, action)));
+    const addBtn = document.createElement('button');
+    addBtn.className = 'approval-btn';
+    addBtn.textContent = 'Add step';
+    addRow.appendChild(addSelect);
+    addRow.appendChild(addBtn);
+
+    const actions = document.createElement('div');
+    actions.className = 'approval-actions';
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'approval-btn deny';
+    cancelBtn.textContent = 'Cancel';
+
+    const runBtn = document.createElement('button');
+    runBtn.className = 'approval-btn approve';
+    runBtn.textContent = 'Run';
+
+    actions.appendChild(cancelBtn);
+    actions.appendChild(runBtn);
+
+    wrapper.appendChild(header);
+    wrapper.appendChild(hint);
+    wrapper.appendChild(list);
+    wrapper.appendChild(addRow);
+    wrapper.appendChild(actions);
+
+    chatContainer.appendChild(wrapper);
+    chatContainer.scrollTop = chatContainer.scrollHeight;
+
+    return { list, addSelect, addBtn, runBtn, cancelBtn };
+}
+
+function buildPlanReviewRow(step, index, steps, render, options) {
+    const row = document.createElement('li');
+    row.className = 'plan-review-step';
+
+    const head = document.createElement('div');
+    head.className = 'plan-review-head';
+    const title = document.createElement('span');
+    // Blocks (IF, REPEAT_UNTIL, FOR_EACH) show their condition or list; their nested steps get rows of their own.
+    const isBlock = Array.isArray(step.steps) || Array.isArray(step.elseSteps);
+    title.textContent = isBlock ? window.formatAgentStepSummary(step) : step.action;
+    head.appendChild(title);
+
+    const moveStep = (offset) => {
+        const [moved] = steps.splice(index, 1);
+        steps.splice(index + offset, 0, moved);
+        render();
+    };
+    [['Up', () => moveStep(-1), index === 0], ['Down', () => moveStep(1), index === steps.length - 1], ['Remove', () => {
+        steps.splice(index, 1);
+        render();
+    }, false]].forEach(([label, onClick, disabled]) => {
+        const button = document.createElement('button');
+        button.className = 'plan-review-btn';
+        button.type = 'button';
+        button.textContent = label;
+        button.disabled = disabled;
+        button.addEventListener('click', onClick);
+        head.appendChild(button);
+    });
+    row.appendChild(head);
+
+    const sensitiveText = step.action === 'TYPE'
+        && (options.authPrompt || looksLikeSecretField(`${step.selector || ''} ${step.type || ''} ${step.reason || ''}`));
+    (PLAN_REVIEW_FIELDS[step.action] || []).forEach(key => {
+        row.appendChild(buildPlanReviewInput(key, step[key], value => {
+            // Keep {{id.path}} references as text; agent.js resolves them when the step runs.
+            step[key] = NUMERIC_PLAN_FIELDS.has(key) && !value.includes('{{') ? Number(value) : value;
+        }, key === 'text' && sensitiveText));
+    });
+
+    if (Array.isArray(step.fields)) {
+        step.fields.forEach(field => {
+            const label = field.label || field.name || field.placeholder || field.selector || 'field';
+            const sensitive = looksLikeSecretField(`${field.name || ''} ${field.label || ''} ${field.type || ''}`);
+            row.appendChild(buildPlanReviewInput(label, field.value, value => {
+                field.value = value;
+            }, sensitive));
+        });
+    }
+
+    if (isBlock) {
+        [[step.action === 'IF' ? 'Then' : 'Steps', step.steps], ['Else', step.elseSteps]].forEach(([caption, branch]) => {
+            if (!Array.isArray(branch) || !branch.length) {
+                return;
+            }
+            const branchLabel = document.createElement('div');
+            branchLabel.className = 'plan-review-branch';
+            branchLabel.textContent = caption;
+            const nested = document.createElement('ol');
+            nested.className = 'plan-review-list plan-review-nested';
+            branch.forEach((child, childIndex) => nested.appendChild(buildPlanReviewRow(child, childIndex, branch, render, options)));
+            row.appendChild(branchLabel);
+            row.appendChild(nested);
+        });
+    }
+
+    return row;
+}
+
+function looksLikeSecretField(descriptor) {
+    return /password|pass|pwd|token|secret|otp/i.test(descriptor);
+}
+
+function buildPlanReviewInput(label, value, onChange, sensitive = false) {
+    const wrapper = document.createElement('label');
+    wrapper.className = 'plan-review-field';
+
+    const caption = document.createElement('span');
+    caption.textContent = label;
+
+    const input = document.createElement('input');
+    input.type = sensitive ? 'password' : 'text';
+    input.value = value === undefined || value === null ? '' : String(value);
+    input.addEventListener('input', () => onChange(input.value));
+
+    wrapper.appendChild(caption);
+    wrapper.appendChild(input);
+    return wrapper;
+}
+
+// Only "/macros ..." and "/name ..." for a saved macro are macro commands; any other text starting with "/"
+// (a path, "/r/subreddit", a typo) goes to the planner as usual.
+function isMacroCommand(text, macros) {
+    const match = text.match(/^\/([A-Za-z][\w-]{0,39})(?:\s|$)/);
+    if (!match) {
+        return false;
+    }
+    const name = match[1].toLowerCase();
+    return name === 'macros' || Object.prototype.hasOwnProperty.call(macros, name);
+}
+
+// "/macros" lists the saved macros, "/macros delete name" removes one, and "/name key=value" returns the macro to run.
+async function resolveMacroCommand(text) {
+    const macros = await loadMacros();
+    const manageMatch = text.match(/^\/macros(?:\s+delete\s+(\S+))?\s*$/i);
+    if (!manageMatch && /^\/macros\s/i.test(text)) {
+        appendMessage('Type /macros to list saved macros or /macros delete name to remove one.', 'system-msg');
+        return null;
+    }
+    if (manageMatch) {
+        if (manageMatch[1]) {
+            const name = manageMatch[1].replace(/^\//, '').toLowerCase();
+            if (!macros[name]) {
+                appendMessage(`No saved macro named /${name}.`, 'system-msg');
+                return null;
+            }
+            delete macros[name];
+            await chrome.storage.local.set({ macros });
+            appendMessage(`Deleted macro /${name}.`, 'system-msg');
+            return null;
+        }
+        const names = Object.keys(macros).sort();
+        appendMessage(names.length
+            ? `Saved macros:\n${names.map(name => `${window.describeAgentMacro(macros[name])}\n   ${macros[name].prompt}`).join('\n')}`
+            : 'No saved macros yet. After a successful agent run, use "Save as macro" to keep its plan.', 'system-msg');
+        return null;
+    }
+
+    let invocation;
+    try {
+        invocation = window.parseMacroInvocation(text);
+    } catch (error) {
+        appendMessage(error.message, 'system-msg');
+        return null;
+    }
+    if (!invocation || !macros[invocation.name]) {
+        appendMessage(`No saved macro named ${invocation ? `/${invocation.name}` : text}. Type /macros to list them.`, 'system-msg');
+        return null;
+    }
+    return { ...macros[invocation.name], params: invocation.params };
+}
+
+async function loadMacros() {
+    const { macros } = await chrome.storage.local.get('macros');
+    return macros && typeof macros === 'object' ? macros : {};
+}
+
+// Global utility for agent.js: after a clean run, offers to keep its plan as a macro. Values can be swapped for
+// {{params.name}} before saving; agent.js builds and validates the macro.
+window.offerMacroSave = function (offer) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'message approval-msg macro-save-msg';
+
+    const openBtn = document.createElement('button');
+    openBtn.className = 'approval-btn';
+    openBtn.textContent = 'Save as macro';
+    wrapper.appendChild(openBtn);
+
+    openBtn.addEventListener('click', () => {
+        openBtn.remove();
+        // Secret values start out as parameters and are never shown or stored.
+        const values = offer.parameters.map(parameter => (parameter.sensitive ? `{{params.${parameter.name}}}` : parameter.value));
+        let macroName = '';
+
+        const header = document.createElement('div');
+        header.className = 'approval-title';
+        header.textContent = 'Save as macro';
+
+        const hint = document.createElement('div');
+        hint.className = 'approval-reasons';
+        hint.textContent = 'Replace a value, or part of one, with {{params.name}} to ask for it when the macro runs, e.g. /my-macro name=value. Secret values always stay parameters.';
+
+        const list = document.createElement('div');
+        list.className = 'plan-review-list';
+        list.appendChild(buildPlanReviewInput('Name', '', value => {
+            macroName = value;
+        }));
+        offer.parameters.forEach((parameter, index) => {
+            const row = buildPlanReviewInput(parameter.label, values[index], value => {
+                values[index] = value;
+            });
+            const input = row.querySelector('input');
+            const paramBtn = document.createElement('button');
+            paramBtn.className = 'plan-review-btn';
+            paramBtn.type = 'button';
+            paramBtn.textContent = 'Parameter';
+            paramBtn.addEventListener('click', () => {
+                input.value = `{{params.${parameter.name}}}`;
+                values[index] = input.value;
+            });
+            row.appendChild(paramBtn);
+            list.appendChild(row);
+        });
+
+        const status = document.createElement('div');
+        status.className = 'approval-reasons';
+
+        const actions = document.createElement('div');
+        actions.className = 'approval-actions';
+        const saveBtn = document.createElement('button');
+        saveBtn.className = 'approval-btn approve';
+        saveBtn.textContent = 'Save';
+        actions.appendChild(saveBtn);
+
+        saveBtn.addEventListener('click', async () => {
+            let macro;
+            try {
+                macro = window.buildAgentMacro(offer, macroName, values);
+            } catch (error) {
+                status.textContent = error.message;
+                return;
+            }
+            const macros = await loadMacros();
+            const replaced = Boolean(macros[macro.name]);
+            macros[macro.name] = macro;
+            await chrome.storage.local.set({ macros });
+            wrapper.querySelectorAll('input, button').forEach(control => {
+                control.disabled = true;
+            });
+            status.textContent = `${replaced ? 'Replaced' : 'Saved'} macro. Run it with ${window.describeAgentMacro(macro)}`;
+        });
+
+        wrapper.appendChild(header);
+        wrapper.appendChild(hint);
+        wrapper.appendChild(list);
+        wrapper.appendChild(status);
+        wrapper.appendChild(actions);
+        chatContainer.scrollTop = chatContainer.scrollHeight;
+    });
+
+    chatContainer.appendChild(wrapper);
+    chatContainer.scrollTop = chatContainer.scrollHeight;
+};
+
 // Global utility for agent.js to post action logs
 window.appendActionLog = function (text) {
     const timestamp = new Date().toLocaleTimeString([], { hour12: false });
@@ -603,6 +1612,36 @@ window.appendActionLog = function (text) {
     chatContainer.scrollTop = chatContainer.scrollHeight;
 };
 
+// Global utility for agent.js to show extracted records as a table
+window.appendTable = function (caption, columns, rows) {
+    const msgDiv = document.createElement('div');
+    msgDiv.className = 'message system-msg table-msg';
+
+    const table = document.createElement('table');
+    table.className = 'result-table';
+    const captionEl = table.createCaption();
+    captionEl.textContent = caption;
+
+    const headRow = table.createTHead().insertRow();
+    columns.forEach(column => {
+        const th = document.createElement('th');
+        th.textContent = column;
+        headRow.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    rows.forEach(row => {
+        const tr = body.insertRow();
+        row.forEach(value => {
+            tr.insertCell().textContent = value;
+        });
+    });
+
+    msgDiv.appendChild(table);
+    chatContainer.appendChild(msgDiv);
+    chatContainer.scrollTop = chatContainer.scrollHeight;
+};
+
 // Global utility for agent.js to update status bar
 window.updateAgentStatus = function (text, isDone = false) {
     if (isDone) {
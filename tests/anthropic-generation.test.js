@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadExtension } = require('./helpers/load-extension.js');
+
+async function sendToAnthropic(generation) {
+    const bodies = [];
+    const fetch = async (_url, init) => {
+        bodies.push(JSON.parse(init.body));
+        return { ok: true, json: async () => ({ content: [{ type: 'text', text: 'ok' }] }) };
+    };
+    const { window } = loadExtension({ fetch });
+    await window.generateChatCompletion('hi', 'sk-ant-test', 'anthropic', 'claude-sonnet-4-5', '', { generation });
+    return bodies[0];
+}
+
+test('temperature and top_p are never sent together', async () => {
+    const body = await sendToAnthropic({ temperature: 0.2, topP: 0.9, maxTokens: 300 });
+    assert.strictEqual(body.temperature, 0.2);
+    assert.ok(!('top_p' in body));
+    assert.strictEqual(body.max_tokens, 300);
+});
+
+test('top_p is sent when it is the only sampling setting', async () => {
+    const body = await sendToAnthropic({ topP: 0.9 });
+    assert.strictEqual(body.top_p, 0.9);
+    assert.ok(!('temperature' in body));
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const { signAwsRequest } = require('../aws-signing.js');
+const { loadExtension } = require('./helpers/load-extension.js');
+
+// Credentials, date, region and service shared by every case of the AWS SigV4 test suite.
+const SUITE = {
+    region: 'us-east-1',
+    service: 'service',
+    date: new Date('2015-08-30T12:36:00Z'),
+    credentials: {
+        accessKeyId: 'AKIDEXAMPLE',
+        secretAccessKey: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY'
+    }
+};
+const SUITE_SESSION_TOKEN = 'AQoDYXdzEPT//////////wEXAMPLEtc764bNrC9SAPBSM22wDOk4x4HIZ8j4FZTwdQWLWsKWHGBuFqwAeMicRXmxfpSPfIeoIYRqTflfKD8YUuwthAx7mSEI/qkPpKPi/kMcGdQrmGdeehM4IC1NtBmUpp2wUE8phUZampKsburEDy0KPkyQDYwT7WZ0wq5VSXDvp75YU9HFvlRd8Tx6q6fE8YQcHNVXAkiY9q6d+xo0rKwT38xVqr7ZD0u0iPPkUL64lIZbqBAz+scqKmlzm8FDrypNC9Yjc8fPOLn9FX9KSYvKTr4rvx3iSIlTJabIQwj2ICCR/oLxBA==';
+
+const VECTORS = [
+    {
+        name: 'get-vanilla',
+        request: { method: 'GET', url: 'https://example.amazonaws.com/' },
+        signedHeaders: 'host;x-amz-date',
+        signature: '5fa00fa31553b73ebf1942676e86291e8372ff2a2260956d9b8aae1d763fbf31'
+    },
+    {
+        name: 'get-vanilla-query-order-key-case',
+        request: { method: 'GET', url: 'https://example.amazonaws.com/?Param2=value2&Param1=value1' },
+        signedHeaders: 'host;x-amz-date',
+        signature: 'b97d918cfa904a5beff61c982a1b6f458b799221646efd99d3219ec94cdf2500'
+    },
+    {
+        name: 'post-vanilla',
+        request: { method: 'POST', url: 'https://example.amazonaws.com/' },
+        signedHeaders: 'host;x-amz-date',
+        signature: '5da7c1a2acd57cee7505fc6676e4e544621c30862966e37dddb68e92efbe5d6b'
+    },
+    {
+        name: 'post-x-www-form-urlencoded',
+        request: {
+            method: 'POST',
+            url: 'https://example.amazonaws.com/',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: 'Param1=value1'
+        },
+        signedHeaders: 'content-type;host;x-amz-date',
+        signature: 'ff11897932ad3f4e8b18135d722051e5ac45fc38421b1da7b9d196a0fe09473a'
+    },
+    {
+        name: 'post-sts-header-before',
+        request: { method: 'POST', url: 'https://example.amazonaws.com/' },
+        sessionToken: SUITE_SESSION_TOKEN,
+        signedHeaders: 'host;x-amz-date;x-amz-security-token',
+        signature: '85d96828115b5dc0cfc3bd16ad9e210dd772bbebba041836c64533a82be05ead'
+    }
+];
+
+for (const vector of VECTORS) {
+    test(`signAwsRequest matches the SigV4 suite vector ${vector.name}`, async () => {
+        const headers = await signAwsRequest({
+            ...vector.request,
+            region: SUITE.region,
+            service: SUITE.service,
+            date: SUITE.date,
+            credentials: { ...SUITE.credentials, sessionToken: vector.sessionToken }
+        });
+
+        assert.strictEqual(headers['x-amz-date'], '20150830T123600Z');
+        assert.strictEqual(
+            headers.Authorization,
+            `AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/20150830/us-east-1/service/aws4_request, SignedHeaders=${vector.signedHeaders}, Signature=${vector.signature}`
+        );
+        if (vector.sessionToken) {
+            assert.strictEqual(headers['x-amz-security-token'], vector.sessionToken);
+        }
+    });
+}
+
+test('Bedrock requests reach a local endpoint with valid SigV4 headers', async () => {
+    const received = [];
+    const server = http.createServer((request, response) => {
+        let body = '';
+        request.on('data', chunk => {
+            body += chunk;
+        });
+        request.on('end', () => {
+            received.push({ method: request.method, url: request.url, headers: request.headers, body });
+            response.writeHead(200, { 'content-type': 'application/json' });
+            response.end(JSON.stringify({
+                output: { message: { content: [{ text: 'pong' }] } },
+                usage: { inputTokens: 3, outputTokens: 1 }
+            }));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const endpoint = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+        const { window } = loadExtension();
+        const completion = await window.generateChatCompletion('ping', 'AKIDLOCALTEST', 'aws-bedrock', 'anthropic.claude-3-haiku-20240307-v1:0', endpoint, {
+            providerConfig: { secretAccessKey: 'local-secret', sessionToken: 'local-session-token', region: 'eu-west-1' }
+        });
+        assert.strictEqual(completion.text, 'pong');
+        assert.strictEqual(received.length, 1);
+
+        const [request] = received;
+        assert.strictEqual(request.method, 'POST');
+        assert.strictEqual(request.url, '/model/anthropic.claude-3-haiku-20240307-v1%3A0/converse');
+        assert.match(request.headers['x-amz-date'], /^\d{8}T\d{6}Z$/);
+        assert.strictEqual(request.headers['x-amz-security-token'], 'local-session-token');
+
+        const dateStamp = request.headers['x-amz-date'].slice(0, 8);
+        assert.match(
+            request.headers.authorization,
+            new RegExp(`^AWS4-HMAC-SHA256 Credential=AKIDLOCALTEST/${dateStamp}/eu-west-1/bedrock/aws4_request, SignedHeaders=content-type;host;x-amz-date;x-amz-security-token, Signature=[0-9a-f]{64}$`)
+        );
+
+        // Sign what the server actually received; the signature only matches if host, path and body were signed as sent.
+        const amzDate = request.headers['x-amz-date'];
+        const expected = await signAwsRequest({
+            method: request.method,
+            url: `http://${request.headers.host}${request.url}`,
+            headers: { 'content-type': request.headers['content-type'] },
+            body: request.body,
+            region: 'eu-west-1',
+            service: 'bedrock',
+            date: new Date(`${amzDate.slice(0, 4)}-${amzDate.slice(4, 6)}-${amzDate.slice(6, 8)}T${amzDate.slice(9, 11)}:${amzDate.slice(11, 13)}:${amzDate.slice(13, 15)}Z`),
+            credentials: { accessKeyId: 'AKIDLOCALTEST', secretAccessKey: 'local-secret', sessionToken: 'local-session-token' }
+        });
+        assert.strictEqual(request.headers.authorization, expected.Authorization);
+    } finally {
+        server.close();
+    }
+});
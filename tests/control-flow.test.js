@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadExtension } = require('./helpers/load-extension.js');
+
+const IF_WITH_FAILING_CLICK = {
+    action: 'IF',
+    condition: { type: 'element_exists', selector: '#cookie-banner' },
+    steps: [{ action: 'CLICK', selector: '#accept-cookies' }]
+};
+
+// The condition always holds and every CLICK fails, as when the element is gone by the time it is clicked.
+function createBrowser() {
+    const sent = [];
+    const sendMessage = payload => {
+        if (payload.type === 'GET_TAB_SNAPSHOT') {
+            return { status: 'success', tabs: [{ id: 3, active: true, url: 'https://news.example.com/', title: 'News' }] };
+        }
+        if (payload.type === 'GET_PAGE_CONTEXT') {
+            return { status: 'success', data: { url: 'https://news.example.com/', title: 'News', text: '', forms: [] } };
+        }
+        if (!payload.plan) {
+            return { status: 'success' };
+        }
+        sent.push(payload.plan.action);
+        if (payload.plan.action === 'CHECK_CONDITION') {
+            return { status: 'success', results: [{ tabId: 3, status: 'success', data: { matched: true } }] };
+        }
+        if (payload.plan.action === 'CLICK') {
+            return { status: 'error', error: 'No element matches #accept-cookies.', results: [{ tabId: 3, status: 'error', error: 'No element matches #accept-cookies.' }] };
+        }
+        return { status: 'success', results: [{ tabId: 3, status: 'success', data: {} }] };
+    };
+    return { sent, sendMessage };
+}
+
+function createPlanner(replies) {
+    const prompts = [];
+    const fetch = async (_url, init) => {
+        const body = JSON.parse(init.body);
+        prompts.push(JSON.stringify(body.messages));
+        const calls = replies[Math.min(prompts.length, replies.length) - 1];
+        return {
+            ok: true,
+            json: async () => ({
+                choices: [{
+                    message: {
+                        content: '',
+                        tool_calls: calls.map((step, index) => {
+                            const { action, ...args } = step;
+                            return { id: `call_${index}`, type: 'function', function: { name: action, arguments: JSON.stringify(args) } };
+                        })
+                    }
+                }]
+            })
+        };
+    };
+    return { prompts, fetch };
+}
+
+test('a failed step inside IF fails the one-shot run', async () => {
+    const browser = createBrowser();
+    const planner = createPlanner([[IF_WITH_FAILING_CLICK, { action: 'SCRAPE_PAGE' }]]);
+    const { window, messages } = loadExtension({ fetch: planner.fetch, sendMessage: browser.sendMessage });
+    await window.processAgentCommand('accept the cookie banner and read the page', 'sk-test-0000', 'openai', 'gpt-4o', '', { runId: 'run-1' });
+
+    assert.ok(!browser.sent.includes('SCRAPE_PAGE'));
+    assert.ok(messages.some(message => /Run summary: .*1 failed/.test(message)));
+});
+
+test('a failed step inside IF is reported to the planner in step-by-step mode', async () => {
+    const browser = createBrowser();
+    const planner = createPlanner([[IF_WITH_FAILING_CLICK], [{ action: 'DONE', message: 'No banner to accept.' }]]);
+    const { window } = loadExtension({ fetch: planner.fetch, sendMessage: browser.sendMessage });
+    await window.processAgentCommand('accept the cookie banner', 'sk-test-0000', 'openai', 'gpt-4o', '', { runId: 'run-2', iterative: true });
+
+    assert.strictEqual(planner.prompts.length, 2, 'the run goes on to a second planning round');
+    assert.match(planner.prompts[1], /failed: No element matches #accept-cookies/);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadExtension } = require('./helpers/load-extension.js');
+
+async function dryRunReport(prompt, plan) {
+    const sent = [];
+    const sendMessage = payload => {
+        if (payload.type === 'GET_TAB_SNAPSHOT') {
+            return { status: 'success', tabs: [{ id: 4, active: true, url: 'https://shop.example.com/', title: 'Shop' }] };
+        }
+        if (payload.type === 'GET_PAGE_CONTEXT') {
+            return { status: 'success', data: { url: 'https://shop.example.com/', title: 'Shop', text: '', forms: [] } };
+        }
+        if (payload.plan) {
+            sent.push(payload.plan);
+        }
+        return { status: 'success', results: [{ tabId: 4, status: 'success', data: { matched: true, element: 'input#q' } }] };
+    };
+    const fetch = async () => ({ ok: true, json: async () => ({ choices: [{ message: { content: JSON.stringify({ plan }) } }] }) });
+    const { window, messages } = loadExtension({ fetch, sendMessage });
+    await window.processAgentCommand(prompt, 'key-0000', 'custom', 'local', 'http://localhost:8080/v1', { runId: 'run-dry', dryRun: true });
+    return { sent, report: messages.find(message => message.startsWith('Dry run report:')) };
+}
+
+test('the dry run shows the text a TYPE step would enter and flags Enter as a submit', async () => {
+    const { sent, report } = await dryRunReport('find kettles in the shop search', [
+        { action: 'TYPE', selector: 'input#q', text: 'electric kettle' },
+        { action: 'PRESS_KEY', key: 'Enter', selector: 'input#q' }
+    ]);
+
+    assert.match(report, /1\. TYPE input#q: badge 1 on input#q\n {3}would type "electric kettle"/);
+    assert.match(report, /2\. PRESS_KEY .*: not run\n {3}would ask for approval: submits a form/);
+    assert.deepStrictEqual(sent.map(step => step.action), ['PREVIEW_TARGET']);
+});
+
+test('the dry run hides typed passwords', async () => {
+    const { report } = await dryRunReport('log in as bob, password is hunter22', [
+        { action: 'TYPE', selector: '#field-2', text: 'hunter22' },
+        { action: 'TYPE', selector: 'input[name="password"]', text: 'other-secret' }
+    ]);
+
+    assert.ok(!report.includes('hunter22') && !report.includes('other-secret'));
+    assert.strictEqual(report.match(/would type "\[REDACTED\]"/g).length, 2);
+});
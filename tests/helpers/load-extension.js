@@ -0,0 +1,65 @@
+// Loads the side panel's plain scripts into a Node vm context with in-memory chrome stubs, so tests can call
+// window.generateChatCompletion / window.processAgentCommand and the script-level helpers behind them.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+const SIDE_PANEL_SCRIPTS = ['aws-signing.js', 'api.js', 'number-text.js', 'agent.js'];
+
+// sendMessage(payload) answers chrome.runtime.sendMessage the way background.js would; store seeds chrome.storage.local.
+function loadExtension({ fetch = globalThis.fetch, sendMessage = () => ({ status: 'success' }), store = {} } = {}) {
+    const storage = JSON.parse(JSON.stringify(store));
+    const logs = [];
+    const messages = [];
+
+    const context = {
+        console,
+        setTimeout,
+        clearTimeout,
+        URL,
+        TextEncoder,
+        TextDecoder,
+        AbortController,
+        crypto: globalThis.crypto,
+        fetch,
+        chrome: {
+            runtime: {
+                lastError: null,
+                sendMessage: (payload, callback) => callback(sendMessage(payload))
+            },
+            storage: {
+                local: {
+                    get: async keys => Object.fromEntries([].concat(keys)
+                        .filter(key => key in storage)
+                        .map(key => [key, JSON.parse(JSON.stringify(storage[key]))])),
+                    set: async values => {
+                        Object.assign(storage, JSON.parse(JSON.stringify(values)));
+                    },
+                    remove: async keys => {
+                        [].concat(keys).forEach(key => delete storage[key]);
+                    }
+                }
+            }
+        }
+    };
+    context.window = context;
+    context.appendActionLog = text => logs.push(text);
+    context.appendMessage = text => messages.push(text);
+    context.updateAgentStatus = () => {};
+
+    vm.createContext(context);
+    SIDE_PANEL_SCRIPTS.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+
+    return {
+        window: context,
+        storage,
+        logs,
+        messages,
+        evaluate: source => vm.runInContext(source, context)
+    };
+}
+
+module.exports = { loadExtension };
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadExtension } = require('./helpers/load-extension.js');
+
+function offerFor(prompt, plan) {
+    const buildMacroOffer = loadExtension().evaluate('buildMacroOffer');
+    return JSON.parse(JSON.stringify(buildMacroOffer(prompt, plan)));
+}
+
+test('typed values in an auth prompt are offered as secrets', () => {
+    const offer = offerFor('sign in to staging as bob, password is hunter22', [
+        { action: 'NAVIGATE', url: 'https://staging.example.com/login' },
+        { action: 'TYPE', selector: '#field-3', text: 'hunter22' }
+    ]);
+    assert.deepStrictEqual(offer.parameters.map(parameter => parameter.sensitive), [false, true]);
+    assert.ok(!JSON.stringify(offer.prompt).includes('hunter22'));
+});
+
+test('a value equal to the prompt password is secret in any field', () => {
+    const offer = offerFor('log in with password: hunter22', [
+        { action: 'FILL_FORM', fields: [{ name: 'code', value: 'hunter22' }, { name: 'user', value: 'bob' }] }
+    ]);
+    assert.deepStrictEqual(offer.parameters.map(parameter => [parameter.value, parameter.sensitive]), [['hunter22', true], ['bob', false]]);
+});
+
+test('typed search text outside auth prompts stays editable', () => {
+    const offer = offerFor('search the docs for retries', [{ action: 'TYPE', selector: 'input[name="q"]', text: 'retries' }]);
+    assert.strictEqual(offer.parameters[0].sensitive, false);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadExtension } = require('./helpers/load-extension.js');
+
+function captureRequestBody() {
+    const bodies = [];
+    const fetch = async (_url, init) => {
+        bodies.push(JSON.parse(init.body));
+        return { ok: true, json: async () => ({ choices: [{ message: { content: 'ok' } }] }) };
+    };
+    return { bodies, fetch };
+}
+
+const GENERATION = { temperature: 0, maxTokens: 500, topP: 0.9, seed: 7 };
+
+test('chat models receive temperature, top_p and max_tokens', async () => {
+    const { bodies, fetch } = captureRequestBody();
+    const { window } = loadExtension({ fetch });
+    await window.generateChatCompletion('hi', 'sk-test', 'openai', 'gpt-4o', '', { generation: GENERATION });
+
+    assert.deepStrictEqual(
+        [bodies[0].temperature, bodies[0].top_p, bodies[0].max_tokens, bodies[0].max_completion_tokens],
+        [0, 0.9, 500, undefined]
+    );
+});
+
+for (const model of ['o1', 'o3-mini', 'o4-mini', 'gpt-5', 'gpt-5-mini', 'openai/o3']) {
+    test(`reasoning model ${model} receives max_completion_tokens and no sampling parameters`, async () => {
+        const { bodies, fetch } = captureRequestBody();
+        const { window } = loadExtension({ fetch });
+        await window.generateChatCompletion('hi', 'sk-test', 'openrouter', model, '', { generation: GENERATION });
+
+        const body = bodies[0];
+        assert.strictEqual(body.max_completion_tokens, 500);
+        assert.strictEqual(body.seed, 7);
+        assert.ok(!('temperature' in body) && !('top_p' in body) && !('max_tokens' in body));
+    });
+}
+
+test('Azure deployments named after a reasoning model are treated as one', async () => {
+    const { bodies, fetch } = captureRequestBody();
+    const { window } = loadExtension({ fetch });
+    await window.generateChatCompletion('hi', 'key', 'azure', 'o3-mini', 'https://example.openai.azure.com', { generation: GENERATION });
+
+    assert.strictEqual(bodies[0].max_completion_tokens, 500);
+    assert.ok(!('temperature' in bodies[0]));
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadExtension } = require('./helpers/load-extension.js');
+
+const PLAN = JSON.stringify({ analysis: 'Search.', plan: [{ action: 'GOOGLE_SEARCH', query: 'weather' }] });
+
+// The primary (openai, tool calling) always fails; the backups answer with a JSON plan or a tool call.
+async function requestPlanWithFailover(failoverProfiles) {
+    const requests = [];
+    const fetch = async (url, init) => {
+        const body = JSON.parse(init.body);
+        requests.push({ url: String(url), body });
+        if (String(url).includes('api.openai.com')) {
+            return {
+                ok: false,
+                status: 401,
+                headers: { get: () => null },
+                json: async () => ({ error: { message: 'Incorrect API key provided.' } }),
+                text: async () => JSON.stringify({ error: { message: 'Incorrect API key provided.' } })
+            };
+        }
+        const message = body.tools
+            ? { content: '', tool_calls: [{ id: 'call_0', type: 'function', function: { name: 'GOOGLE_SEARCH', arguments: '{"query":"weather"}' } }] }
+            : { content: PLAN };
+        return { ok: true, json: async () => ({ choices: [{ message }] }) };
+    };
+    const { evaluate } = loadExtension({ fetch });
+    const output = await evaluate('requestPlannerOutputForMode')({
+        prompt: 'search the weather',
+        tabSnapshot: [],
+        pageContext: null,
+        screenshot: null,
+        defaultTarget: { mode: 'active' },
+        runId: 'run-test',
+        credentials: { apiKey: 'sk-primary-000000', provider: 'openai', model: 'gpt-4o', baseUrl: '' },
+        runContext: { failoverProfiles },
+        signal: undefined
+    });
+    return { requests, output };
+}
+
+const promptText = body => body.messages.map(message => (typeof message.content === 'string' ? message.content : JSON.stringify(message.content))).join('\n');
+
+test('a tools-mode failover to a provider without tool calling gets the JSON planning prompt', async () => {
+    const { requests, output } = await requestPlanWithFailover([
+        { provider: 'custom', apiKey: 'local-key-0000', model: 'llama3', baseUrl: 'http://localhost:8080/v1' }
+    ]);
+
+    assert.strictEqual(requests.length, 2);
+    assert.ok(requests[0].body.tools, 'the primary is asked for tool calls');
+    assert.match(requests[1].url, /localhost:8080/);
+    assert.ok(!requests[1].body.tools);
+    assert.notStrictEqual(promptText(requests[1].body), promptText(requests[0].body));
+    assert.match(promptText(requests[1].body), /"plan"/);
+    assert.strictEqual(output.plan[0].action, 'GOOGLE_SEARCH');
+});
+
+test('tool-capable backups are tried with tools before JSON-only ones', async () => {
+    const { requests, output } = await requestPlanWithFailover([
+        { provider: 'custom', apiKey: 'local-key-0000', model: 'llama3', baseUrl: 'http://localhost:8080/v1' },
+        { provider: 'openrouter', apiKey: 'or-key-00000000', model: 'openai/gpt-4o', baseUrl: '' }
+    ]);
+
+    assert.strictEqual(requests.length, 2);
+    assert.match(requests[1].url, /openrouter/);
+    assert.ok(requests[1].body.tools);
+    assert.strictEqual(output.plan[0].action, 'GOOGLE_SEARCH');
+});
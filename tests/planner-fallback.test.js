@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadExtension } = require('./helpers/load-extension.js');
+
+const PLAN = JSON.stringify({ analysis: 'Search.', plan: [{ action: 'GOOGLE_SEARCH', query: 'weather' }] });
+
+// lm-studio supports response schemas but not native tools, so the planner starts in schema mode.
+async function requestPlan(responses) {
+    const bodies = [];
+    const fetch = async (_url, init) => {
+        bodies.push(JSON.parse(init.body));
+        return responses[Math.min(bodies.length, responses.length) - 1]();
+    };
+    const { evaluate } = loadExtension({ fetch });
+    const requestPlannerOutputForMode = evaluate('requestPlannerOutputForMode');
+    const result = await requestPlannerOutputForMode({
+        prompt: 'search the weather',
+        tabSnapshot: [],
+        pageContext: null,
+        screenshot: null,
+        defaultTarget: { mode: 'active' },
+        runId: 'run-test',
+        credentials: { apiKey: '', provider: 'lm-studio', model: 'local', baseUrl: '' },
+        runContext: {},
+        signal: undefined
+    }).then(output => ({ output }), error => ({ error }));
+    return { bodies, ...result };
+}
+
+const reply = content => async () => ({ ok: true, json: async () => ({ choices: [{ message: { content } }] }) });
+const rejection = (status, message) => async () => ({
+    ok: false,
+    status,
+    headers: { get: () => null },
+    json: async () => ({ error: { message } }),
+    text: async () => JSON.stringify({ error: { message } })
+});
+
+test('a rejected response_format falls back to free-text JSON planning', async () => {
+    const { bodies, output } = await requestPlan([
+        rejection(400, "Invalid parameter: 'response_format' of type 'json_schema' is not supported with this model."),
+        reply(PLAN)
+    ]);
+
+    assert.strictEqual(bodies.length, 2);
+    assert.ok(bodies[0].response_format);
+    assert.ok(!bodies[1].response_format);
+    assert.strictEqual(output.plan[0].action, 'GOOGLE_SEARCH');
+});
+
+test('an empty reply does not trigger a second planner request', async () => {
+    const { bodies, error } = await requestPlan([reply(''), reply(PLAN)]);
+
+    assert.strictEqual(bodies.length, 1);
+    assert.match(error.message, /Invalid response format/);
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const transcripts = require('./fixtures/planner-transcripts.json');
+const { loadExtension } = require('./helpers/load-extension.js');
+
+// Two browser sessions with different tab ids, titles, URLs and page text. Fixtures recorded in the first must
+// replay in the second.
+const SESSIONS = [
+    {
+        tabs: [{ id: 11, active: true, url: 'https://shop.example.com/?session=a1', title: 'Shop - morning' }],
+        page: { url: 'https://shop.example.com/?session=a1', title: 'Shop - morning', text: 'Banner 1', forms: [] }
+    },
+    {
+        tabs: [
+            { id: 907, active: true, url: 'https://shop.example.com/?session=z9', title: 'Shop - evening' },
+            { id: 908, active: false, url: 'https://news.example.org/', title: 'News' }
+        ],
+        page: { url: 'https://shop.example.com/?session=z9', title: 'Shop - evening', text: 'Banner 2', forms: [] }
+    }
+];
+
+function createBrowser(session) {
+    const steps = [];
+    const sendMessage = payload => {
+        if (payload.type === 'GET_TAB_SNAPSHOT') {
+            return { status: 'success', tabs: session.tabs };
+        }
+        if (payload.type === 'GET_PAGE_CONTEXT') {
+            return { status: 'success', data: session.page };
+        }
+        if (payload.plan) {
+            steps.push(payload.plan);
+        }
+        const tabId = session.tabs[0].id;
+        return { status: 'success', results: [{ tabId, status: 'success', data: { text: session.page.text } }] };
+    };
+    return { steps, sendMessage };
+}
+
+// Plays the transcript's responses back as an OpenAI chat endpoint would send them.
+function createLiveModel(responses) {
+    let calls = 0;
+    const fetch = async () => {
+        const response = responses[Math.min(calls, responses.length - 1)];
+        calls += 1;
+        const message = response.toolCalls
+            ? {
+                content: '',
+                tool_calls: response.toolCalls.map((call, index) => ({
+                    id: `call_${index}`,
+                    type: 'function',
+                    function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+                }))
+            }
+            : { content: response.text };
+        return { ok: true, json: async () => ({ choices: [{ message }] }) };
+    };
+    return { fetch, calls: () => calls };
+}
+
+// Steps cross the vm boundary, so compare plain copies. Targets carry the session's tab ids and differ by design.
+function withoutTargets(steps) {
+    return JSON.parse(JSON.stringify(steps.map(step => ({ ...step, target: undefined }))));
+}
+
+// Live runs use the transcript's provider (openai unless it names one); 'custom' speaks the same chat format.
+async function runAgent(extension, transcript, provider) {
+    const baseUrl = provider === 'custom' ? 'http://localhost:8080/v1' : '';
+    await extension.window.processAgentCommand(transcript.prompt, provider === 'replay' ? '' : 'sk-live-test-key-0000', provider, 'gpt-4o', baseUrl, {
+        runId: 'run-test',
+        ...(transcript.runContext || {})
+    });
+}
+
+for (const transcript of transcripts) {
+    test(`replays "${transcript.name}" offline with the same plan`, async () => {
+        const recordingBrowser = createBrowser(SESSIONS[0]);
+        const model = createLiveModel(transcript.responses);
+        const recorder = loadExtension({ fetch: model.fetch, sendMessage: recordingBrowser.sendMessage, store: { replayRecording: true } });
+        await runAgent(recorder, transcript, transcript.provider || 'openai');
+
+        assert.strictEqual(model.calls(), transcript.responses.length);
+        assert.ok(recordingBrowser.steps.length > 0, 'the recorded run executed steps');
+        const exported = await recorder.window.exportReplayFixtures();
+        const serialized = JSON.stringify(exported);
+        assert.strictEqual(exported.fixtures.length, transcript.responses.length);
+        assert.ok(!serialized.includes('sk-live-test-key-0000'), 'the API key is not stored');
+        (transcript.secrets || []).forEach(secret => {
+            assert.ok(!serialized.includes(secret), `"${secret}" from the prompt is not stored`);
+        });
+        assert.ok(!serialized.includes('session=a1') && !serialized.includes('Shop - morning'), 'tab and page data are not stored');
+
+        // A saved transcript file, imported into a fresh profile in another session, with no network at all.
+        const replayBrowser = createBrowser(SESSIONS[1]);
+        const offline = loadExtension({
+            fetch: async () => {
+                throw new Error('network access during replay');
+            },
+            sendMessage: replayBrowser.sendMessage
+        });
+        assert.strictEqual(await offline.window.importReplayFixtures(JSON.parse(serialized)), exported.fixtures.length);
+        await runAgent(offline, transcript, 'replay');
+
+        assert.deepStrictEqual(withoutTargets(replayBrowser.steps), withoutTargets(recordingBrowser.steps));
+        assert.ok(!offline.messages.some(message => /No replay fixture/.test(message)));
+    });
+}
+
+test('a planner fixture misses when the prompt changes', async () => {
+    const [transcript] = transcripts;
+    const recorder = loadExtension({
+        fetch: createLiveModel(transcript.responses).fetch,
+        sendMessage: createBrowser(SESSIONS[0]).sendMessage,
+        store: { replayRecording: true }
+    });
+    await runAgent(recorder, transcript, 'openai');
+
+    const offline = loadExtension({ sendMessage: createBrowser(SESSIONS[1]).sendMessage });
+    await offline.window.importReplayFixtures(await recorder.window.exportReplayFixtures());
+    await assert.rejects(
+        runAgent(offline, { ...transcript, prompt: `${transcript.prompt} in French` }, 'replay'),
+        /No replay fixture matches/
+    );
+});
@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadExtension } = require('./helpers/load-extension.js');
+
+test('pressing Enter is rated like submitting a form', () => {
+    const classifyStepRisk = loadExtension().evaluate('classifyStepRisk');
+    const enter = { action: 'PRESS_KEY', key: 'Enter', selector: 'input[name="q"]' };
+    const submit = { action: 'FILL_FORM', fields: [{ name: 'q', value: 'shoes' }], submit: true };
+
+    for (const prompt of ['search for running shoes', 'log in to my account']) {
+        const enterRisk = JSON.parse(JSON.stringify(classifyStepRisk(enter, prompt)));
+        const submitRisk = JSON.parse(JSON.stringify(classifyStepRisk(submit, prompt)));
+        assert.strictEqual(enterRisk.level, 'high');
+        assert.deepStrictEqual(enterRisk.reasons, submitRisk.reasons);
+    }
+    assert.strictEqual(classifyStepRisk({ action: 'PRESS_KEY', key: 'Escape' }, 'close the dialog').level, 'medium');
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadExtension } = require('./helpers/load-extension.js');
+
+function resolveWith(outputs, step) {
+    const { evaluate } = loadExtension();
+    const resolveStepTemplates = evaluate('resolveStepTemplates');
+    const [planned] = evaluate('sanitizePlan')([step], { mode: 'active' });
+    const execution = { defaultTarget: { mode: 'active' }, outputs, params: null };
+    return JSON.parse(JSON.stringify(resolveStepTemplates(planned, execution, { label: '2', vars: null })));
+}
+
+test('a filled-in URL reference is checked as a URL', () => {
+    const step = { action: 'NAVIGATE', url: '{{page.links[0].href}}' };
+    assert.strictEqual(resolveWith({ page: { links: [{ href: 'https://example.com/a' }] } }, step).url, 'https://example.com/a');
+    assert.throws(() => resolveWith({ page: { links: [{ href: 'javascript:alert(1)' }] } }, step), /url/);
+});
+
+test('a resolved value that still looks templated is not waved through', () => {
+    const outputs = { page: { links: [{ href: 'javascript:alert(1)//{{x}}' }], tab: '{{other.tabId}}' } };
+    assert.throws(() => resolveWith(outputs, { action: 'OPEN_TAB', url: '{{page.links[0].href}}' }), /url/);
+    assert.throws(() => resolveWith(outputs, { action: 'SWITCH_TAB', tabId: '{{page.tab}}' }), /tabId/);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadExtension } = require('./helpers/load-extension.js');
+
+test('number fields read decimal commas and thousands separators like the page reader', () => {
+    const coerceExtractedValue = loadExtension().evaluate('coerceExtractedValue');
+    assert.strictEqual(coerceExtractedValue('12,50 €', 'number'), 12.5);
+    assert.strictEqual(coerceExtractedValue('1.299,00', 'number'), 1299);
+    assert.strictEqual(coerceExtractedValue('$1,299.99', 'number'), 1299.99);
+    assert.strictEqual(coerceExtractedValue('4.5 out of 5', 'number'), 4.5);
+    assert.strictEqual(coerceExtractedValue(42, 'number'), 42);
+    assert.strictEqual(coerceExtractedValue('n/a', 'number'), null);
+});
+
+test('the summary of a raw EXTRACT_STRUCTURED step without a schema does not throw', () => {
+    const { window } = loadExtension();
+    assert.strictEqual(window.formatAgentStepSummary({ action: 'EXTRACT_STRUCTURED', itemSelector: '.card' }), 'EXTRACT_STRUCTURED ()');
+});
+
+test('the shared number reader handles the formats pages use', () => {
+    const { parseNumberText } = require('../number-text.js');
+    assert.strictEqual(parseNumberText('Price: 12,50 €'), 12.5);
+    assert.strictEqual(parseNumberText('1.299,00'), 1299);
+    assert.strictEqual(parseNumberText('$1,299'), 1299);
+    assert.strictEqual(parseNumberText('-3.75 today'), -3.75);
+    assert.strictEqual(parseNumberText('sold out'), null);
+});
+
+test('model-refined records never outnumber the page items and keep page values the model left out', async () => {
+    const reply = JSON.stringify({
+        records: [
+            { name: 'Kettle', price: '24,99 €' },
+            { name: 'Toaster', price: null },
+            { name: 'Invented blender', price: 10 }
+        ]
+    });
+    const fetch = async () => ({ ok: true, json: async () => ({ choices: [{ message: { content: reply } }] }) });
+    const { evaluate } = loadExtension({ fetch });
+    const step = { action: 'EXTRACT_STRUCTURED', schema: [{ name: 'name', type: 'text' }, { name: 'price', type: 'number' }], maxRecords: 20 };
+    const response = {
+        results: [{
+            status: 'success',
+            data: {
+                records: [{ name: 'Kettle', price: null }, { name: 'Toaster', price: 31.5 }],
+                candidates: [{ text: 'Kettle 24,99 €' }, { text: 'Toaster 31,50 €' }]
+            }
+        }]
+    };
+    const execution = {
+        credentials: { apiKey: 'key-0000', provider: 'custom', model: 'local', baseUrl: 'http://localhost:8080/v1' },
+        runContext: {},
+        runUsage: {},
+        runId: 'run-test',
+        shouldStop: () => false
+    };
+    await evaluate('refineExtractedRecords')(step, response, execution);
+
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(response.results[0].data.records)), [
+        { name: 'Kettle', price: 24.99 },
+        { name: 'Toaster', price: 31.5 }
+    ]);
+});
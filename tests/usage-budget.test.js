@@ -0,0 +1,12 @@
+// A zone behind UTC, so late-evening usage falls on the next UTC day.
+process.env.TZ = 'America/Los_Angeles';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadExtension } = require('./helpers/load-extension.js');
+
+test('the daily usage key follows the local date', () => {
+    const getUsageDayKey = loadExtension().evaluate('getUsageDayKey');
+    assert.strictEqual(getUsageDayKey(new Date(2026, 0, 31, 23, 30)), '2026-01-31');
+    assert.strictEqual(getUsageDayKey(new Date(2026, 1, 1, 0, 5)), '2026-02-01');
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Loads background.js with a single tab whose URL the test can change, and a content script answered by
+// onTabMessage(payload) -> { response } or { error } (reported through chrome.runtime.lastError).
+function loadBackground({ url, onTabMessage }) {
+    const tab = { id: 5, status: 'complete', url };
+    const updateListeners = new Set();
+    const injections = [];
+    const chrome = {
+        runtime: { lastError: null, onInstalled: { addListener() {} }, onMessage: { addListener() {} } },
+        sidePanel: { setPanelBehavior: () => Promise.resolve() },
+        storage: { local: { get: async () => ({}), set: async () => {} } },
+        scripting: { executeScript: async details => injections.push(details) },
+        tabs: {
+            get: async () => ({ ...tab }),
+            query: async () => [{ ...tab }],
+            onUpdated: {
+                addListener: listener => updateListeners.add(listener),
+                removeListener: listener => updateListeners.delete(listener)
+            },
+            sendMessage: (tabId, payload, callback) => {
+                const { response, error } = onTabMessage(payload);
+                chrome.runtime.lastError = error ? { message: error } : null;
+                callback(response);
+                chrome.runtime.lastError = null;
+            }
+        }
+    };
+    const context = { console, setTimeout, clearTimeout, setInterval, clearInterval, URL, chrome };
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'background.js'), 'utf8'), context, { filename: 'background.js' });
+
+    const navigate = nextUrl => {
+        tab.url = nextUrl;
+        updateListeners.forEach(listener => listener(tab.id, { url: nextUrl }, { ...tab }));
+    };
+    return { context, injections, navigate, listenerCount: () => updateListeners.size };
+}
+
+test('url_matches is watched from the background across a full navigation', async () => {
+    const background = loadBackground({
+        url: 'https://app.example.com/login',
+        onTabMessage: () => ({ error: 'The message port closed before a response was received.' })
+    });
+    setTimeout(() => background.navigate('https://app.example.com/dashboard'), 50);
+
+    const result = await background.context.executeAgentPlan({ action: 'WAIT_FOR', until: 'url_matches', pattern: '/dashboard', timeoutMs: 2000 }, 'run-1');
+    assert.strictEqual(result.status, 'success');
+    assert.match(result.results[0].data.observed, /dashboard/);
+    assert.strictEqual(background.injections.length, 0);
+    assert.strictEqual(background.listenerCount(), 0);
+});
+
+test('url_matches reports the last URL on timeout', async () => {
+    const background = loadBackground({ url: 'https://app.example.com/login', onTabMessage: () => ({}) });
+    const result = await background.context.executeAgentPlan({ action: 'WAIT_FOR', until: 'url_matches', pattern: '/dashboard', timeoutMs: 500 }, 'run-2');
+    assert.strictEqual(result.status, 'error');
+    assert.match(result.error, /timed out after 500ms .*URL is https:\/\/app\.example\.com\/login/);
+});
+
+test('other waits resume on the new page with the time that is left', async () => {
+    const sent = [];
+    const background = loadBackground({
+        url: 'https://shop.example.com/cart',
+        onTabMessage: payload => {
+            sent.push(payload.plan);
+            return sent.length === 1
+                ? { error: 'The message port closed before a response was received.' }
+                : { response: { status: 'success', detail: 'Waited 300ms for network requests to settle for 500ms.' } };
+        }
+    });
+
+    const result = await background.context.executeAgentPlan({ action: 'WAIT_FOR', until: 'network_idle', quietMs: 500, timeoutMs: 8000 }, 'run-3');
+    assert.strictEqual(result.status, 'success');
+    assert.strictEqual(background.injections.length, 2);
+    assert.strictEqual(sent[0].timeoutMs <= 8000, true);
+    assert.ok(sent[1].timeoutMs < sent[0].timeoutMs);
+});